@@ -0,0 +1,181 @@
+"use strict";
+
+/**
+ * Application module. A module groups endpoints, resources, services and header
+ * value handlers, so that they can be developed separately and then mounted
+ * into the application under a path prefix using {@link Application#mount}.
+ *
+ * <p>The components are registered in the module the same way they are
+ * registered directly in the application. The module's endpoint URIs are
+ * relative to the path, under which the module is mounted. The components are
+ * added to the application when the application is initialized, at which point
+ * name collisions between the modules are detected.
+ *
+ * <p>Normally, the module is created using the
+ * {@link module:thymes2js.createModule} function.
+ */
+class ApplicationModule {
+
+	/**
+	 * Create new module.
+	 *
+	 * @param {string} name Module name used in the error and log messages.
+	 * @param {ModuleDefaults} [defaults] Module defaults.
+	 * @throws {Error} If the module defaults are invalid.
+	 */
+	constructor(name, defaults) {
+
+		// check the defaults
+		if ((defaults !== undefined)
+			&& (typeof defaults !== 'object' || (defaults === null)))
+			throw new Error(
+				'Invalid defaults of module "' + name + '": not an object.');
+
+		this._name = name;
+		this._defaults = (defaults || {});
+
+		this._endpoints = new Array();
+		this._resourceDefs = new Array();
+		this._serviceProviders = new Map();
+		this._headerValueHandlers = new Map();
+	}
+
+
+	/**
+	 * Module name.
+	 *
+	 * @type {string}
+	 * @readonly
+	 */
+	get name() {
+
+		return this._name;
+	}
+
+	/**
+	 * Add API endpoint to the module.
+	 *
+	 * @param {(string|external:RegExp)} uriPattern Endpoint URI template or
+	 * regular expression pattern relative to the module mount path (see
+	 * {@link Application#endpoint}).
+	 * @param {EndpointDefinition} def Endpoint definition object.
+	 * @returns This object for chaining.
+	 */
+	endpoint(uriPattern, def) {
+
+		this._endpoints.push({
+			uriPattern: uriPattern,
+			def: this._applyEndpointDefaults(def)
+		});
+
+		return this;
+	}
+
+	/**
+	 * Add resource to the module.
+	 *
+	 * @param {ResourceDefinition} def Resource definition.
+	 * @returns This object for chaining.
+	 */
+	resource(def) {
+
+		this._resourceDefs.push(this._applyResourceDefaults(def));
+
+		return this;
+	}
+
+	/**
+	 * Add multiple resources to the module at once.
+	 *
+	 * @param {ResourceDefinition[]} defs Resource definitions.
+	 * @returns This object for chaining.
+	 */
+	resources(defs) {
+
+		defs.forEach(def => { this.resource(def); });
+
+		return this;
+	}
+
+	/**
+	 * Add service to the module.
+	 *
+	 * @param {string} name Service name.
+	 * @param {ServiceProvider} serviceProvider Service provider.
+	 * @returns This object for chaining.
+	 */
+	service(name, serviceProvider) {
+
+		this._serviceProviders.set(name, serviceProvider);
+
+		return this;
+	}
+
+	/**
+	 * Register custom HTTP response header handler in the module.
+	 *
+	 * @param {string} name All lower-case HTTP header name.
+	 * @param {function} handlerConstructor Constructor of
+	 * {@link HeaderValueHandler}.
+	 * @returns This object for chaining.
+	 */
+	headerValueHandler(name, handlerConstructor) {
+
+		this._headerValueHandlers.set(name, handlerConstructor);
+
+		return this;
+	}
+
+
+	/**
+	 * Apply module defaults to an endpoint definition.
+	 *
+	 * @private
+	 * @param {EndpointDefinition} def Endpoint definition.
+	 * @returns {EndpointDefinition} The definition with the defaults applied.
+	 */
+	_applyEndpointDefaults(def) {
+
+		if (typeof def !== 'object' || (def === null))
+			return def;
+
+		const defaults = this._defaults;
+		const res = Object.assign({}, def);
+		if ((res.public === undefined) && (defaults.public !== undefined))
+			res.public = defaults.public;
+		if (!res.resource && (res.cacheability === undefined)
+			&& (defaults.cacheability !== undefined)) {
+			res.cacheability = defaults.cacheability;
+			res.maxAge = defaults.maxAge;
+		}
+		if (!res.allowedSecureOrigins && defaults.allowedSecureOrigins) {
+			res.allowedSecureOrigins = defaults.allowedSecureOrigins;
+			res.allowedPublicOrigins = defaults.allowedPublicOrigins;
+		}
+
+		return res;
+	}
+
+	/**
+	 * Apply module defaults to a resource definition.
+	 *
+	 * @private
+	 * @param {ResourceDefinition} def Resource definition.
+	 * @returns {ResourceDefinition} The definition with the defaults applied.
+	 */
+	_applyResourceDefaults(def) {
+
+		const defaults = this._defaults;
+		if (typeof def !== 'object' || (def === null)
+			|| (def.cacheability !== undefined)
+			|| (defaults.cacheability === undefined))
+			return def;
+
+		return Object.assign({}, def, {
+			cacheability: defaults.cacheability,
+			maxAge: defaults.maxAge
+		});
+	}
+}
+
+module.exports = ApplicationModule;
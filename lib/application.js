@@ -1,13 +1,20 @@
 "use strict";
 
 const url = require('url');
+const stream = require('stream');
+const zlib = require('zlib');
 const util = require('./util.js');
 
 const Endpoint = require('./endpoint.js');
 const EndpointMapper = require('./endpoint-mapper.js');
 const EndpointCallResponse = require('./endpoint-call-response.js');
 const Runtime = require('./runtime.js');
+const Resource = require('./resource.js');
 const EndpointCallContext = require('./endpoint-call-context.js');
+const ValidationErrors = require('./validation-errors.js');
+const CachePolicy = require('./cache-policy.js');
+const MultipartParser = require('./multipart-parser.js');
+const CallCancellation = require('./call-cancellation.js');
 
 const DefaultHeaderValueHandler =
 	require('./header-value-handler/default-header-value-handler.js');
@@ -15,6 +22,10 @@ const HeadersListHeaderValueHandler =
 	require('./header-value-handler/headers-list-header-value-handler.js');
 const MethodsListHeaderValueHandler =
 	require('./header-value-handler/methods-list-header-value-handler.js');
+const EntityTagHeaderValueHandler =
+	require('./header-value-handler/entity-tag-header-value-handler.js');
+const CacheControlHeaderValueHandler =
+	require('./header-value-handler/cache-control-header-value-handler.js');
 
 const BasicAuthenticatorProvider =
 	require('./authenticator/basic-authenticator.js');
@@ -23,6 +34,8 @@ const NoopActorRegistryProvider =
 const ActorRegistryCacheProvider =
 	require('./actor-registry/actor-registry-cache.js');
 const JsonMarshallerProvider = require('./marshaller/json-marshaller.js');
+const MemoryPersistenceProvider =
+	require('./persistence/memory-persistence.js');
 
 /**
  * The application, which is a central piece of the framework representing the
@@ -40,7 +53,8 @@ const JsonMarshallerProvider = require('./marshaller/json-marshaller.js');
  * resource, when its definition is registered, is associated with a unique name,
  * but not an HTTP URI. It is a task of another component, the <em>endpoint</em>,
  * to map a URI exposed by the application's API to a particular application
- * resource.
+ * resource. Once the application is initialized, the resources are available
+ * to the application components via {@link Runtime#resource} method.
  * <dt>Endpoints<dd>An <em>endpoint</em>, as in the application API endpoint, is
  * a component associated with a certain HTTP URI pattern and responsible for
  * providing the application API logic.
@@ -57,6 +71,10 @@ const JsonMarshallerProvider = require('./marshaller/json-marshaller.js');
  * responding to the API calls after the initialization. Once the application is
  * initialized, components can no longer be registered.
  *
+ * <p>Components can also be grouped into modules (see
+ * {@link ApplicationModule}), which are mounted into the application under a
+ * path prefix using {@link Application#mount}.
+ *
  * <p>The application uses configuration access function to adjust operation of
  * its components according to the environment. Certain configuration parameters
  * are predefined and used by the core, while other components may use their own
@@ -82,23 +100,67 @@ const JsonMarshallerProvider = require('./marshaller/json-marshaller.js');
  * that the use of this configuration parameter is transparent to the
  * application, because whenever the framework provides the requested resource
  * URI to the application components, the resource URI is stripped of this
- * prefix.
+ * prefix. The prefix is matched literally.
+ * <dt>X2_API_DEFAULT_VERSION<dd>Optional API version used for the requests
+ * that do not select an API version explicitly (see
+ * {@link Application#endpoint}). If not specified, such requests are served
+ * only by the endpoints that are not registered under any API version.
+ * <dt>X2_API_VERSION_HEADER<dd>Name of the request header, which can be used
+ * by the API clients to select the API version. The default is
+ * "X-API-Version".
+ * <dt>X2_API_VENDOR<dd>Optional vendor name used in the vendor media types,
+ * which can be used by the API clients to select the API version in the
+ * "Accept" request header. The media type format is
+ * "application/vnd.<em>vendor</em>.<em>version</em>", optionally with a
+ * structured syntax suffix, such as "+json". For the response content type
+ * negotiation, such media type stands for the type named by the suffix (such as
+ * "application/json"), or for any type if there is no suffix. If not specified,
+ * the API version cannot be selected in the "Accept" header.
  * <dt>X2_MAX_REQUEST_SIZE<dd>Maximum allowed request entity size in bytes. In
  * the case of multipart requests, this limit applies only to the first part
  * (considered the request entity, while the subsequent parts are considered
- * attachments and are handed over to the handlers as streams). The default is
- * 2048.
+ * attachments and are handed over to the handlers as buffers, see
+ * {@link EndpointCallContext#requestAttachments}). The default is 2048.
+ * <dt>X2_MAX_ATTACHMENT_SIZE<dd>Maximum allowed size in bytes of each
+ * attachment part in a multipart request. The default is 1048576 (1MB).
+ * <dt>X2_MAX_MULTIPART_REQUEST_SIZE<dd>Maximum allowed total size in bytes of a
+ * multipart request payload. The default is 5242880 (5MB).
+ * <p>The request size limits can be overridden by individual endpoints (see
+ * {@link EndpointDefinition}). Requests exceeding a limit are rejected with an
+ * HTTP 413 (Payload Too Large) response and the connection is closed. If the
+ * request payload is compressed ("Content-Encoding" request header is "gzip",
+ * "deflate" or "br"), the limits apply to the decompressed payload.
+ * <dt>X2_COMPRESSION_THRESHOLD<dd>Minimum response payload size in bytes, at
+ * which the payload is compressed if the client accepts compressed responses
+ * (see the "Accept-Encoding" request header). The supported content codings are
+ * "br" (on Node.js 11.7 and up), "gzip" and "deflate". Streamed responses,
+ * whose size is not known in advance, are always compressed. Responses with a
+ * single entity that is a buffer or a seekable stream source are not
+ * compressed, so that the clients can request byte ranges of the entity (see
+ * {@link SeekableStreamSource}). The default is 1024.
+ * <dt>X2_UNCOMPRESSED_CONTENT_TYPES<dd>Comma-separated list of response content
+ * types that are never compressed, usually because they are compressed
+ * already. The types may use "*" wildcards, as in "image/*". The default is
+ * "image/*, audio/*, video/*, application/zip, application/gzip".
+ * <dt>X2_HANDLER_TIMEOUT<dd>Maximum time in milliseconds allowed for an
+ * endpoint handler to complete a call. If the handler does not complete the
+ * call in time, a 503 (Service Unavailable) response is sent back to the client
+ * and the call is cancelled (see {@link EndpointCallContext#signal}). The
+ * timeout can be overridden by individual endpoints (see
+ * {@link EndpointDefinition}). If not specified, the handlers are not limited.
  * <dt>X2_RESPONSE_TIMEOUT<dd>Maximum time in milliseconds allowed the connection
- * to be idle after the HTTP request has been completely read. This is the
- * timeout that limits the time allowed for the server to generate and send the
- * response. When the timeout is triggered, a 500 (Internal Server Error) is sent
- * back to the client and the connection is closed. If the server has already
- * started sending the response, the connection is simply closed. If this
- * parameter is not specified, the timeout is the same as the one set on the
- * {@link external:"http.Server"} (which is 2 minutes by default).
- * <p>Note, that before the request is completely read by the server, the timeout
- * set on the {@link external:"http.Server"} is in effect and if triggered, a 408
- * (Request Timeout) response is sent back to the client (and connection closed).
+ * to be idle while the server processes the call, that is once the HTTP request
+ * payload, if expected, has been completely read. This is the timeout that
+ * limits the time allowed for the server to generate and send the response.
+ * When the timeout is triggered, a 503 (Service Unavailable) response is sent
+ * back to the client, the call is cancelled and the connection is closed. If
+ * the server has already started sending the response, the connection is
+ * simply closed. If this parameter is not specified, the timeout is the same as
+ * the one set on the {@link external:"http.Server"}.
+ * <p>Note, that while the request is being read by the server, the timeout set
+ * on the {@link external:"http.Server"} is in effect and if triggered, a 408
+ * (Request Timeout) response is sent back to the client (and connection
+ * closed).
  * <p>Also note, that for the timeout handling logic of the application to be
  * used, {@link Application#onTimeout} method must be associated with the
  * server's "timeout" event.
@@ -124,6 +186,22 @@ class Application {
 		// endpoints
 		this._endpoints = new Array();
 
+		// mounted modules
+		this._modules = new Array();
+
+		// call interceptors by processing phases
+		this._interceptors = new Map();
+		[
+			'beforeAuthentication',
+			'afterAuthentication',
+			'beforeHandler',
+			'afterHandler',
+			'beforeResponse'
+		].forEach(phase => { this._interceptors.set(phase, new Array()); });
+
+		// resource definitions
+		this._resourceDefs = new Array();
+
 		// services
 		this._serviceProviders = new Map();
 		this._serviceProviders.set(
@@ -134,6 +212,9 @@ class Application {
 			'actorRegistryCache', new ActorRegistryCacheProvider());
 		this._serviceProviders.set(
 			'marshaller:application/json', new JsonMarshallerProvider());
+		this._serviceProviders.set(
+			'persistence', new MemoryPersistenceProvider());
+		this._customServiceNames = new Set();
 
 		// header value handlers
 		this._headerValueHandlers = new Map();
@@ -145,7 +226,11 @@ class Application {
 		this._headerValueHandlers.set('allow', MethodsListHeaderValueHandler);
 		this._headerValueHandlers.set(
 			'access-control-allow-methods', MethodsListHeaderValueHandler);
+		this._headerValueHandlers.set('etag', EntityTagHeaderValueHandler);
+		this._headerValueHandlers.set(
+			'cache-control', CacheControlHeaderValueHandler);
 		this._headerValueHandlers.set('DEFAULT', DefaultHeaderValueHandler);
+		this._customHeaderValueHandlerNames = new Set();
 
 		// known HTTP methods
 		this._knownHttpMethods = new Set([
@@ -190,15 +275,36 @@ class Application {
 					'^' + allowedOriginsPattern + '$', 'i');
 		}
 
-		// maximum request size
+		// maximum request sizes
 		this._maxRequestSize = (Number(configFn('X2_MAX_REQUEST_SIZE')) || 2048);
-
-		// response timeout
+		this._maxAttachmentSize =
+			(Number(configFn('X2_MAX_ATTACHMENT_SIZE')) || 1048576);
+		this._maxMultipartRequestSize =
+			(Number(configFn('X2_MAX_MULTIPART_REQUEST_SIZE')) || 5242880);
+
+		// response compression
+		this._compressionThreshold =
+			(Number(configFn('X2_COMPRESSION_THRESHOLD')) || 1024);
+		this._uncompressedContentTypesPattern = new RegExp(
+			'^(?:' + (
+				configFn('X2_UNCOMPRESSED_CONTENT_TYPES')
+					|| 'image/*, audio/*, video/*, application/zip,'
+						+ ' application/gzip'
+			).split(',').map(
+				contentType => contentType.trim()
+					.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+					.replace(/\*/g, '.*')
+			).join('|') + ')$', 'i');
+
+		// handler and response timeouts
+		this._handlerTimeout =
+			(Number(configFn('X2_HANDLER_TIMEOUT')) || null);
 		this._responseTimeout =
 			(Number(configFn('X2_RESPONSE_TIMEOUT')) || null);
 
-		// timed-out flag on the socket
-		this._timedOutProp = new Symbol();
+		// call in progress and timed-out flag on the socket
+		this._callProp = Symbol('x2Call');
+		this._timedOutProp = Symbol('x2TimedOut');
 
 		// the application is not initialized yet
 		this._initialized = false;
@@ -208,11 +314,53 @@ class Application {
 	/**
 	 * Add API endpoint to the application.
 	 *
-	 * @param {string} uriPattern Endpoint URI regular expression pattern. URI
-	 * parameters are groups in the pattern.
+	 * <p>The endpoint URI is normally specified as a template, in which the URI
+	 * parameters are enclosed in curly braces, optionally with a regular
+	 * expression pattern for the parameter value after a colon, and optional
+	 * segments are enclosed in square brackets. For example:
+	 *
+	 * <pre><code>/accounts/{accountId}/orders[/{orderId:\d+}]</code></pre>
+	 *
+	 * <p>Without a pattern, a parameter matches a whole path segment. With a
+	 * pattern, a parameter still matches only within a single path segment. The
+	 * parameter patterns must not include capturing groups. The template
+	 * parameter values are always URI-decoded and are available to the handlers
+	 * by names via {@link EndpointCallContext#namedUriParams} as well as by
+	 * positions via {@link EndpointCallContext#uriParams}.
+	 *
+	 * <p>For compatibility, the endpoint URI can also be specified as a regular
+	 * expression pattern, in which case the URI parameters are groups in the
+	 * pattern and are available only by positions. A string that does not
+	 * include any template parameters is treated as a regular expression
+	 * pattern.
+	 *
+	 * <p>When a request URI matches several endpoints, literal path segments
+	 * take precedence over segments with parameters, and endpoints with URI
+	 * templates take precedence over endpoints with regular expression
+	 * patterns. Otherwise, the endpoint added first wins. If two endpoints have
+	 * equivalent URIs, the application initialization fails.
+	 *
+	 * <p>An endpoint can be registered under one or more API versions using the
+	 * <code>apiVersion</code> definition attribute, so that several versions of
+	 * the API can be served side by side. The API version of a request is
+	 * selected by the version name as the first path segment of the request URI
+	 * after the <code>X2_ENDPOINTS_PREFIX</code> (for example,
+	 * "/v2/accounts"), or, if not present, by the version name in the request
+	 * header configured by <code>X2_API_VERSION_HEADER</code>, or, if not
+	 * present, by the vendor media type in the "Accept" header (for example,
+	 * "application/vnd.acme.v2+json" if <code>X2_API_VENDOR</code> is "acme").
+	 * Requests that do not select a version are served by the
+	 * <code>X2_API_DEFAULT_VERSION</code>. Endpoints that are not registered
+	 * under any API version are available under all versions, but the
+	 * version-specific endpoints take precedence. The selected version is
+	 * available to the handlers via {@link EndpointCallContext#apiVersion}.
+	 *
+	 * @param {(string|external:RegExp)} uriPattern Endpoint URI template or
+	 * regular expression pattern.
 	 * @param {EndpointDefinition} def Endpoint definition object.
 	 * @returns This object for chaining.
 	 * @throws {SyntaxError} The specified URI pattern is invalid.
+	 * @throws {Error} The specified endpoint definition is invalid.
 	 */
 	endpoint(uriPattern, def) {
 
@@ -229,7 +377,8 @@ class Application {
 	}
 
 	/**
-	 * Add resource to the application.
+	 * Add resource to the application. The resource definition is validated
+	 * when the application is initialized.
 	 *
 	 * @param {ResourceDefinition} def Resource definition.
 	 * @returns This object for chaining.
@@ -241,7 +390,8 @@ class Application {
 			throw new Error(
 				'Cannot add resource after application initialization.');
 
-		// TODO:...
+		// save the definition
+		this._resourceDefs.push(def);
 
 		// done
 		return this;
@@ -278,6 +428,112 @@ class Application {
 
 		// save service provider
 		this._serviceProviders.set(name, serviceProvider);
+		this._customServiceNames.add(name);
+
+		// done
+		return this;
+	}
+
+
+	/**
+	 * Add endpoint call interceptor to the application. Interceptors allow
+	 * custom code to participate in the processing of every endpoint call at
+	 * the following phases:
+	 *
+	 * <dl>
+	 * <dt>beforeAuthentication<dd>After the endpoint is matched and the URI and
+	 * query parameters are validated, but before the call is authenticated.
+	 * <dt>afterAuthentication<dd>After the call is authenticated, but before
+	 * it is authorized.
+	 * <dt>beforeHandler<dd>After the request entity is read and validated,
+	 * immediately before the handler is called.
+	 * <dt>afterHandler<dd>After the handler returns the call response.
+	 * <dt>beforeResponse<dd>Before any response to the call, including error
+	 * responses generated by the framework, is sent.
+	 * </dl>
+	 *
+	 * <p>The interceptors of a phase are called in the order they were added.
+	 * In the phases before the handler is called, an interceptor can
+	 * short-circuit the call processing by returning a response, which is then
+	 * sent back to the client without calling the rest of the interceptors of
+	 * the phase and without further processing. In the phases after the handler
+	 * is called, an interceptor can modify the response in place, or return a
+	 * different response that replaces it for the subsequent interceptors.
+	 *
+	 * <p>The interceptors are not called for the calls that do not match any
+	 * endpoint, have invalid URI or query parameters, or use a method not
+	 * allowed by the endpoint, nor for the "OPTIONS" calls.
+	 *
+	 * @param {string} phase The call processing phase.
+	 * @param {EndpointCallInterceptor} interceptor The interceptor.
+	 * @returns This object for chaining.
+	 * @throws {Error} If the phase is unknown.
+	 */
+	interceptor(phase, interceptor) {
+
+		// make sure the app has not been initialized yet
+		if (this._initialized)
+			throw new Error(
+				'Cannot add interceptor after application initialization.');
+
+		// get the phase interceptors
+		const interceptors = this._interceptors.get(phase);
+		if (!interceptors)
+			throw new Error('Unknown interceptor phase "' + phase + '".');
+
+		// save the interceptor
+		interceptors.push(interceptor);
+
+		// done
+		return this;
+	}
+
+	/**
+	 * Mount module into the application. The module's endpoints, resources,
+	 * services and header value handlers are added to the application when it
+	 * is initialized. The module's endpoint URIs are prefixed with the mount
+	 * path.
+	 *
+	 * <p>If a module registers a resource, a service or a header value handler
+	 * under the same name as another mounted module or the application itself,
+	 * the application initialization fails. A module may override the default
+	 * services and header value handlers pre-registered by the framework,
+	 * though. The module names must be unique, so that the modules can be told
+	 * apart, although the same module can be mounted under more than one path.
+	 *
+	 * @param {string} path Path, under which the module is mounted. Must start
+	 * with a slash and must not end with a slash. The path is matched
+	 * literally.
+	 * @param {ApplicationModule} module The module.
+	 * @returns This object for chaining.
+	 * @throws {Error} If the path is invalid, or a different module with the
+	 * same name has been already mounted.
+	 */
+	mount(path, module) {
+
+		// make sure the app has not been initialized yet
+		if (this._initialized)
+			throw new Error(
+				'Cannot mount module after application initialization.');
+
+		// check the path
+		if (!/^(?:\/[^/{}[\]]+)+$/.test(path))
+			throw new Error(
+				'Invalid path "' + path + '" for mounting module "'
+					+ module.name + '".');
+
+		// check that the module name is unique
+		if (this._modules.some(mount => (
+			(mount.module !== module) && (mount.module.name === module.name))))
+			throw new Error(
+				'Another module named "' + module.name + '" is already'
+					+ ' mounted.');
+
+		// save the module
+		this._modules.push({
+			path: path,
+			module: module
+		});
 
 		// done
 		return this;
@@ -317,6 +573,7 @@ class Application {
 
 		// register handler
 		this._headerValueHandlers.set(name, handlerConstructor);
+		this._customHeaderValueHandlerNames.add(name);
 
 		// done
 		return this;
@@ -350,6 +607,9 @@ class Application {
 		// perform application initialization
 		try {
 
+			// add components of the mounted modules
+			this._addModulesComponents();
+
 			// configure service providers and build initialization sequence
 			const serviceInitSequence = new Set();
 			const serviceDepsChain = new Set();
@@ -369,10 +629,25 @@ class Application {
 					serviceDepsChain);
 			});
 
+			// create resources
+			this._resources = new Map();
+			this._resourceDefs.forEach(def => {
+				const resource = new Resource(def);
+				if (this._resources.has(resource.name))
+					throw new Error(
+						'Duplicate resource "' + resource.name + '".');
+				this._logger.debug('adding resource "%s"', resource.name);
+				this._resources.set(resource.name, resource);
+			});
+			this._resources.forEach(resource => {
+				resource._resolveReferences(this._resources);
+			});
+			delete this._resourceDefs; // no need for the definitions anymore
+
 			// create runtime
 			this._services = new Map();
-			this._runtime =
-				new Runtime(this._configFn, this._logger, this._services);
+			this._runtime = new Runtime(
+				this._configFn, this._logger, this._services, this._resources);
 
 			// instantiate services
 			serviceInitSequence.forEach(serviceName => {
@@ -382,8 +657,23 @@ class Application {
 					this._serviceProviders.get(serviceName).createService(
 						this._runtime));
 			});
+
+			// response content types available for negotiation
+			this._responseContentTypes = Array.from(
+				this._serviceProviders.keys()
+			).filter(
+				serviceName => serviceName.startsWith('marshaller:')
+			).map(
+				serviceName => serviceName.substring('marshaller:'.length)
+			);
+
 			delete this._serviceProviders; // no need for the providers anymore
 
+			// create handlers for the endpoints bound to resources
+			this._endpoints.forEach(endpoint => {
+				endpoint.createHandler(this._resources);
+			});
+
 			// create endpoint mapper
 			this._endpointMapper = new EndpointMapper(
 				this._endpoints, this._configFn);
@@ -403,6 +693,75 @@ class Application {
 		return this;
 	}
 
+	/**
+	 * Add components of the mounted modules to the application.
+	 *
+	 * @private
+	 * @throws {Error} If a module component name collides with another module
+	 * or with the application.
+	 */
+	_addModulesComponents() {
+
+		// component owners by component names
+		const resourceOwners = new Map();
+		this._resourceDefs.forEach(def => {
+			resourceOwners.set(def.name, 'the application');
+		});
+		const serviceOwners = new Map();
+		this._customServiceNames.forEach(name => {
+			serviceOwners.set(name, 'the application');
+		});
+		const headerValueHandlerOwners = new Map();
+		this._customHeaderValueHandlerNames.forEach(name => {
+			headerValueHandlerOwners.set(name, 'the application');
+		});
+
+		// helper function for claiming component names
+		function claim(owners, componentType, name, owner) {
+			const existingOwner = owners.get(name);
+			if (existingOwner && (existingOwner !== owner))
+				throw new Error(
+					componentType + ' "' + name + '" is registered by both '
+						+ existingOwner + ' and ' + owner + '.');
+			owners.set(name, owner);
+		}
+
+		// add the modules components
+		const addedModules = new Set();
+		this._modules.forEach(mount => {
+			const module = mount.module;
+			this._logger.debug(
+				'mounting module "%s" at %s', module.name, mount.path);
+
+			// add the module endpoints under the mount path
+			module._endpoints.forEach(entry => {
+				this._endpoints.push(
+					new Endpoint(entry.uriPattern, entry.def, mount.path));
+			});
+
+			// add the rest of the module components only once
+			if (addedModules.has(module))
+				return;
+			addedModules.add(module);
+			const owner = 'module "' + module.name + '"';
+			module._resourceDefs.forEach(def => {
+				claim(resourceOwners, 'Resource', def.name, owner);
+				this._resourceDefs.push(def);
+			});
+			module._serviceProviders.forEach((serviceProvider, name) => {
+				claim(serviceOwners, 'Service', name, owner);
+				this._serviceProviders.set(name, serviceProvider);
+			});
+			module._headerValueHandlers.forEach((handlerConstructor, name) => {
+				claim(
+					headerValueHandlerOwners, 'Header value handler', name,
+					owner);
+				this._headerValueHandlers.set(name, handlerConstructor);
+			});
+		});
+		delete this._modules; // the components are in the application now
+	}
+
 	/**
 	 * Recursively process service provider and add the service and services, on
 	 * that which it depends to the service initialization sequence.
@@ -465,6 +824,10 @@ class Application {
 		// log it
 		this._logger.info('shutting down the application');
 
+		// check if initialization failed before creating the services
+		if (!this._services)
+			return;
+
 		// shutdown the services
 		Array.from(this._services.entries()).reverse().forEach(entry => {
 			const service = entry[1];
@@ -523,7 +886,13 @@ class Application {
 	}
 
 	/**
-	 * Handle connection "timeout" event.
+	 * Handle connection "timeout" event. What happens depends on the phase of
+	 * the endpoint call in progress on the connection, if any: if the request
+	 * payload is being read, a 408 (Request Timeout) response is sent; if the
+	 * call is being processed, the call is cancelled and a 503 (Service
+	 * Unavailable) response is sent; if the response is being sent, the
+	 * connection is destroyed. If there is no call in progress, a 408 response
+	 * is sent. Unless destroyed, the connection is closed after the response.
 	 *
 	 * @param {external:"net.Socket"} socket The connection socket.
 	 */
@@ -531,46 +900,24 @@ class Application {
 
 		this._logger.debug('connection inactivity timeout');
 
-		socket[this._timedOutProp] = true;
-
-		return;
-		//.......
 		try {
 
-			if (this._logger.isDebugEnabled())
-				this._logger.debug('connection inactivity timeout');
-
-			switch(socket[this._phaseProperty]) {
-			case 'HANDLING':
-				const respBody =
-					'{"errorCode":"X2-500-2"'
-					+ ',"errorMessage":"Server side timeout."}';
-				socket.end(
-					'HTTP/1.1 500 Internal Server Error\r\n'
-						+ 'Date: ' + (new Date()).toUTCString() + '\r\n'
-						+ 'Content-Type: application/json\r\n'
-						+ 'Content-Length: ' + String(respBody.length) + '\r\n'
-						+ 'Connection: close\r\n'
-						+ '\r\n'
-						+ respBody);
-				break;
-			case 'RESPONDING':
-				socket.destroy();
-				break;
-			case 'ABORTED':
-				break;
-			default:
-				socket.end(
-					'HTTP/1.1 408 Request Timeout\r\n'
-						+ 'Date: ' + (new Date()).toUTCString() + '\r\n'
-						+ 'Connection: close\r\n'
-						+ '\r\n');
-			}
+			// let the call in progress handle it
+			const call = socket[this._callProp];
+			if (call)
+				return call._onConnectionTimeout();
+
+			// idle connection or incomplete request head
+			socket[this._timedOutProp] = true;
+			socket.end(
+				'HTTP/1.1 408 Request Timeout\r\n'
+					+ 'Date: ' + (new Date()).toUTCString() + '\r\n'
+					+ 'Connection: close\r\n'
+					+ '\r\n');
 
 		} catch (err) {
-			this._logger.error('error handling timeout: ', err);
-		} finally {
-			socket[this._phaseProperty] = 'ABORTED';
+			this._logger.error('error handling timeout: %s', err.stack);
+			socket.destroy();
 		}
 	}
 }
@@ -609,8 +956,17 @@ class EndpointCall {
 		this._authResult = null;
 		this._responseActor = null;
 		this._validateRequestEntity = null;
+		this._recordsQuery = null;
+		this._resourceValidators = null;
 
 		this._ctx = null;
+		this._responseIntercepted = false;
+
+		this._phase = null;
+		this._cancellation = new CallCancellation();
+		this._handlerTimer = null;
+		this._timedOut = false;
+		this._responded = false;
 	}
 
 
@@ -625,8 +981,12 @@ class EndpointCall {
 			const app = this._app;
 			const method = this._httpRequest.method;
 
+			// associate the call with the connection
+			this._trackCall();
+
 			// lookup the endpoint
-			this._endpointMatch = app._endpointMapper.lookup(this._requestUrl);
+			this._endpointMatch = app._endpointMapper.lookup(
+				this._requestUrl, this._httpRequest.headers);
 			if (!this._endpointMatch)
 				return this._sendResponse(
 					(new EndpointCallResponse(app, 404)).entity({
@@ -640,6 +1000,17 @@ class EndpointCall {
 					'received endpoint request %s %s', method,
 					this._endpointMatch.resourceUri);
 
+			// convert and validate URI parameters
+			const uriParams = this._endpointMatch.endpoint.convertUriParams(
+				this._endpointMatch.uriParams);
+			if (!uriParams)
+				return this._sendResponse(
+					(new EndpointCallResponse(app, 404)).entity({
+						errorCode: 'X2-404-1',
+						errorMessage: 'No API endpoint at this URI.'
+					}));
+			this._endpointMatch.uriParams = uriParams;
+
 			// check if the method is known
 			if (!app._knownHttpMethods.has(method))
 				return this._sendResponse(
@@ -673,7 +1044,150 @@ class EndpointCall {
 				return this._sendResponse(response);
 			}
 
-			// authenticate the request and continue processing after that
+			// convert and validate query parameters
+			const queryParamErrors = new ValidationErrors(app);
+			this._endpointMatch.queryParams =
+				this._endpointMatch.endpoint.convertQueryParams(
+					this._requestUrl.query, queryParamErrors);
+			if (queryParamErrors.hasErrors)
+				return this._sendResponse(
+					(new EndpointCallResponse(app, 400)).entity({
+						errorCode: 'X2-400-3',
+						errorMessage: 'Invalid query parameters.',
+						validationErrors: queryParamErrors.errors
+					}));
+
+			// create call context
+			this._ctx = new EndpointCallContext(
+				app, app._runtime, method, this._requestUrl,
+				this._httpRequest.headers, this._endpointMatch,
+				this._cancellation.signal);
+
+			// authenticate the request after the interceptors
+			this._intercept(
+				'beforeAuthentication', null, this._authenticate.bind(this));
+
+		} catch (err) {
+			this._sendInternalServerErrorResponse(err);
+		}
+	}
+
+	/**
+	 * Associate the call with the connection for the timeout handling (see
+	 * {@link Application#onTimeout}) until the response is finished. If the
+	 * connection is closed before that, the call is cancelled.
+	 *
+	 * @private
+	 */
+	_trackCall() {
+
+		// used refs
+		const app = this._app;
+		const socket = this._httpRequest.connection;
+
+		// associate the call with the connection
+		socket[app._callProp] = this;
+		this._setPhase('HANDLING');
+
+		// disassociate the call when finished
+		const endCall = () => {
+			clearTimeout(this._handlerTimer);
+			if (socket[app._callProp] === this) {
+				delete socket[app._callProp];
+				if (app._responseTimeout)
+					socket.setTimeout(getServerTimeout(socket));
+			}
+		};
+		let finished = false;
+		this._httpResponse
+			.on('finish', () => {
+				finished = true;
+				endCall();
+			})
+			.on('close', () => {
+				if (!finished) {
+					this._cancel('disconnected', 'Client disconnected.');
+					endCall();
+				}
+			});
+	}
+
+	/**
+	 * Set the call processing phase, which determines how connection timeout
+	 * is handled, and the connection timeout for the phase.
+	 *
+	 * @private
+	 * @param {string} phase The phase: "READING" if the request payload is
+	 * being read, "HANDLING" if the call is being processed, or "RESPONDING"
+	 * if the response is being sent.
+	 */
+	_setPhase(phase) {
+
+		this._phase = phase;
+
+		const responseTimeout = this._app._responseTimeout;
+		if (responseTimeout) {
+			const socket = this._httpRequest.connection;
+			socket.setTimeout(
+				phase === 'READING' ? getServerTimeout(socket) :
+					responseTimeout);
+		}
+	}
+
+	/**
+	 * Handle connection inactivity timeout according to the current call
+	 * processing phase.
+	 *
+	 * @private
+	 */
+	_onConnectionTimeout() {
+
+		const logger = this._app._logger;
+
+		switch (this._phase) {
+		case 'READING':
+			logger.warn('timeout reading request');
+			this._cancel('timeout', 'Request timeout.');
+			this._sendResponse(
+				(new EndpointCallResponse(this._app, 408)).entity({
+					errorCode: 'X2-408',
+					errorMessage: 'Request timeout.'
+				}).header('Connection', 'close'));
+			break;
+		case 'HANDLING':
+			logger.warn('connection timeout processing call');
+			this._sendTimeoutResponse(true);
+			break;
+		default:
+			logger.warn('connection timeout sending response');
+			this._cancel('timeout', 'Response timeout.');
+			this._httpRequest.connection.destroy();
+		}
+	}
+
+	/**
+	 * Cancel the call, unless already cancelled. Aborts the call cancellation
+	 * signal (see {@link EndpointCallContext#signal}) and stops the call
+	 * processing at the next phase.
+	 *
+	 * @private
+	 * @param {string} code Cancellation reason code.
+	 * @param {string} message Cancellation reason message.
+	 */
+	_cancel(code, message) {
+
+		this._cancellation.cancel(code, message);
+	}
+
+	/**
+	 * Authenticate the request and continue processing after that.
+	 *
+	 * @private
+	 */
+	_authenticate() {
+
+		try {
+
 			this._app._services.get('authenticator')
 				.authenticate(this._httpRequest, this._requestUrl)
 				.then(
@@ -699,6 +1213,25 @@ class EndpointCall {
 			// save authentication information
 			this._authResult = authResult;
 			this._responseActor = authResult.actor;
+			this._ctx._actor = authResult.actor;
+
+			// authorize the call after the interceptors
+			this._intercept(
+				'afterAuthentication', null, this._authorize.bind(this));
+
+		} catch (err) {
+			this._sendInternalServerErrorResponse(err);
+		}
+	}
+
+	/**
+	 * Authorize the call and continue processing after that.
+	 *
+	 * @private
+	 */
+	_authorize() {
+
+		try {
 
 			// used refs
 			const endpointMatch = this._endpointMatch;
@@ -727,6 +1260,175 @@ class EndpointCall {
 					}));
 			}
 
+			// parse records query if used by the handler
+			if (endpointMatch.handler.parseQuery) {
+				try {
+					this._recordsQuery = endpointMatch.handler.parseQuery(
+						method, endpointMatch.resourceUri,
+						endpointMatch.uriParams,
+						endpointMatch.endpoint.getUndeclaredQueryParams(
+							this._requestUrl.query));
+				} catch (err) {
+					if (!(err instanceof SyntaxError))
+						throw err;
+					return this._sendResponse(
+						(new EndpointCallResponse(this._app, 400)).entity({
+							errorCode: 'X2-400-2',
+							errorMessage: err.message
+						}));
+				}
+			}
+
+			// get target resource validators and check preconditions
+			const httpRequestHeaders = this._httpRequest.headers;
+			if (endpointMatch.handler.getResourceValidators && (
+				((method !== 'GET') && (method !== 'HEAD'))
+					|| (httpRequestHeaders['if-none-match'] !== undefined)
+					|| (httpRequestHeaders['if-modified-since'] !== undefined)
+			))
+				return Promise.resolve(
+					endpointMatch.handler.getResourceValidators(
+						method, endpointMatch.resourceUri,
+						endpointMatch.uriParams, this._app._runtime)
+				).then(
+					this._checkPreconditions.bind(this),
+					this._sendInternalServerErrorResponse.bind(this)
+				);
+
+			// proceed to reading the request entity
+			this._readRequestEntity();
+
+		} catch (err) {
+			this._sendInternalServerErrorResponse(err);
+		}
+	}
+
+	/**
+	 * Evaluate the request preconditions. For a call that modifies the target
+	 * resource, the "If-Match" and "If-Unmodified-Since" preconditions are
+	 * evaluated. For a "GET" or "HEAD" call, the "If-None-Match" and
+	 * "If-Modified-Since" preconditions are evaluated and if the resource has
+	 * not been modified, a 304 response is sent without calling the handler.
+	 *
+	 * @private
+	 * @param {?ResourceValidators} validators Current target resource
+	 * validators, or <code>null</code> if the resource does not exist.
+	 */
+	_checkPreconditions(validators) {
+
+		try {
+
+			// used refs
+			const method = this._httpRequest.method;
+			const httpRequestHeaders = this._httpRequest.headers;
+
+			// conditional read call?
+			if ((method === 'GET') || (method === 'HEAD')) {
+				if (validators && (validators.etag || validators.lastModified)
+					&& isNotModified(
+						httpRequestHeaders, validators.etag,
+						validators.lastModified))
+					return this._sendResponse(
+						this._notModifiedResponse(validators));
+				return this._readRequestEntity();
+			}
+
+			// modifying call preconditions
+			const ifMatch = httpRequestHeaders['if-match'];
+			const ifUnmodifiedSince = httpRequestHeaders['if-unmodified-since'];
+
+			// evaluate the preconditions
+			let failed = false;
+			if (ifMatch !== undefined) {
+				const tags = util.parseEntityTags(ifMatch);
+				failed = (!validators || ((tags !== '*') && !(
+					validators.etag && !validators.etag.startsWith('W/')
+						&& (tags.indexOf(validators.etag) >= 0)
+				)));
+			} else if (ifUnmodifiedSince !== undefined) {
+				const since = Date.parse(ifUnmodifiedSince);
+				failed = (
+					validators && validators.lastModified && !isNaN(since)
+						&& (Math.floor(validators.lastModified.getTime() / 1000)
+							> Math.floor(since / 1000))
+				);
+			} else if (validators && validators.preconditionRequired) {
+				return this._sendResponse(
+					(new EndpointCallResponse(this._app, 428)).entity({
+						errorCode: 'X2-428',
+						errorMessage: 'Precondition required.'
+					}));
+			}
+			if (failed)
+				return this._sendResponse(
+					(new EndpointCallResponse(this._app, 412)).entity({
+						errorCode: 'X2-412',
+						errorMessage: 'Precondition failed.'
+					}));
+
+			// save validators, against which the preconditions were evaluated
+			if ((ifMatch !== undefined) || (ifUnmodifiedSince !== undefined))
+				this._resourceValidators = validators;
+
+			// proceed to reading the request entity
+			this._readRequestEntity();
+
+		} catch (err) {
+			this._sendInternalServerErrorResponse(err);
+		}
+	}
+
+	/**
+	 * Create 304 (Not Modified) response for a conditional read call based on
+	 * the target resource validators. The response varies on the same request
+	 * headers as the full response would: on "Accept" if the resource
+	 * representation's content type is negotiated, and on "Accept-Encoding" if
+	 * the representation may be compressed.
+	 *
+	 * @private
+	 * @param {ResourceValidators} validators The target resource validators.
+	 * @returns {EndpointCallResponse} The 304 response.
+	 */
+	_notModifiedResponse(validators) {
+
+		// used refs
+		const app = this._app;
+
+		// create the response
+		const response = (new EndpointCallResponse(app, 304))
+			.header('ETag', validators.etag)
+			.header('Last-Modified', validators.lastModified);
+
+		// get the full response content type, negotiating it if necessary
+		let contentType = validators.contentType;
+		if (!contentType) {
+			response.header('Vary', 'Accept');
+			contentType = negotiateContentType(
+				this._httpRequest.headers['accept'], app._responseContentTypes,
+				app._endpointMapper);
+		}
+
+		// vary on the content coding if the full response would
+		if (contentType && isCompressibleContentType(app, contentType))
+			response.header('Vary', 'Accept-Encoding');
+
+		return response;
+	}
+
+	/**
+	 * Read the request entity, if expected by the handler, and continue the
+	 * endpoint call processing.
+	 *
+	 * @private
+	 */
+	_readRequestEntity() {
+
+		try {
+
+			// used refs
+			const endpointMatch = this._endpointMatch;
+			const method = this._httpRequest.method;
+
 			// get request entity validator
 			this._validateRequestEntity = (
 				endpointMatch.handler.getRequestEntityValidator
@@ -744,73 +1446,69 @@ class EndpointCall {
 						|| 'application/octet-stream');
 
 				// check if multipart
-				if (/^multipart\//i.test(topCType)) {
-
-					// TODO:...
-
-				} else { // not multipart
-
-					// find marshaller for deserialization
-					const marshaller = this._app._services.get(
-						'marshaller:' + topCType.split(/;\s*/)[0].toLowerCase());
-					if (!marshaller)
+				const multipart = /^multipart\//i.test(topCType);
+
+				// create decoder if the payload is encoded
+				const contentEncoding = (
+					this._httpRequest.headers['content-encoding']
+						|| 'identity').trim().toLowerCase();
+				let decoder = null;
+				if (contentEncoding !== 'identity') {
+					decoder = createDecoder(contentEncoding);
+					if (!decoder)
 						return this._sendResponse(
 							(new EndpointCallResponse(this._app, 415)).entity({
 								errorCode: 'X2-415',
 								errorMessage:
-									'Unsupported request entity content type.'
-							}));
+									'Unsupported request entity content encoding.'
+							}).header(
+								'Accept-Encoding', CONTENT_CODINGS.join(', ')));
+				}
 
-					// check content length
-					if (Number(this._httpRequest.headers['content-length'])
-						> this._app._maxRequestSize)
-						return this._sendResponse(
-							(new EndpointCallResponse(this._app, 413)).entity({
-								errorCode: 'X2-413',
-								errorMessage:
-									'The request entity is too large.'
-							}).header('Connection', 'close'));
-
-					// respond with 100 if expecting continue
-					// KLUDGE: response properties used below are undocumented
-					if (this._httpResponse._expect_continue
-						&& !this._httpResponse._sent100)
-						this._httpResponse.writeContinue();
-					/*if (this._httpRequest.headers['expect'] === '100-continue')
-						this._httpResponse.writeContinue();*/
-
-					// read the entity data
-					const dataBufs = new Array();
-					let bytesRead = 0;
-					this._httpRequest
-						.on('data', chunk => {
-							if ((bytesRead += chunk.length)
-								> this._app._maxRequestSize);
-							// TODO: send error and stop reading
-							dataBufs.push(chunk);
-						})
-						.on('end', () => {
-							// TODO: parse the data
-							try {
-								this._process2(
-									marshaller.deserialize(
-										dataBufs.length === 1 ?
-											dataBufs[0] :
-											Buffer.concat(dataBufs)),
-									null);
-							} catch (err) {
-								// TODO: syntax error, general error
-								console.log('parsing request error: ', err);
-							}
-						})
-						.on('error', err => {
-							// TODO: what to do?
-							console.log('reading request error: ', err);
-						});
-
-					// TODO:...
+				// check content length, which is the decoded size if not encoded
+				const maxSize = (
+					multipart ?
+						(endpointMatch.endpoint.maxMultipartRequestSize
+							|| this._app._maxMultipartRequestSize) :
+						(endpointMatch.endpoint.maxRequestSize
+							|| this._app._maxRequestSize));
+				if (!decoder && (
+					Number(this._httpRequest.headers['content-length'])
+						> maxSize))
+					return this._sendRequestTooLargeResponse();
+
+				// create payload parser
+				let parser;
+				if (multipart) {
+					const boundary = MultipartParser.getBoundary(topCType);
+					if (!boundary)
+						return this._sendMalformedRequestEntityResponse();
+					parser = new MultipartParser(
+						boundary,
+						(endpointMatch.endpoint.maxRequestSize
+							|| this._app._maxRequestSize),
+						(endpointMatch.endpoint.maxAttachmentSize
+							|| this._app._maxAttachmentSize));
+				} else {
+					parser = newBufferingParser();
 				}
 
+				// respond with 100 if expecting continue
+				// KLUDGE: response properties used below are undocumented
+				if (this._httpResponse._expect_continue
+					&& !this._httpResponse._sent100)
+					this._httpResponse.writeContinue();
+
+				// read the payload and continue processing after that
+				this._readRequestPayload(maxSize, decoder, parser, payload => {
+					if (multipart)
+						this._processMultipartPayload(payload);
+					else
+						this._processRequestEntity(
+							{ headers: { 'content-type': topCType },
+								data: payload }, null);
+				});
+
 			} else { // no request entity is expected, proceed with processing
 				this._process2(null, null);
 			}
@@ -821,32 +1519,289 @@ class EndpointCall {
 	}
 
 	/**
-	 * Continue endpoint call processing after getting the request entity.
+	 * Read the request payload and feed it to the parser. If the payload
+	 * exceeds the maximum allowed size, reading stops and an HTTP 413 (Payload
+	 * Too Large) response is sent. If the parser reports that the payload is
+	 * malformed, or the payload cannot be decoded, an HTTP 400 (Bad Request)
+	 * response is sent. If the request stream fails or is aborted by the client,
+	 * the call processing is abandoned.
 	 *
-	 * @param {?Object} requestEntity Parsed request entity, or <code>null</code>
-	 * if none.
-	 * @param {?Iterator.<HttpEntity>} requestAttachments Additional request
-	 * entities for a multipart request, or <code>null</code> if none.
+	 * @private
+	 * @param {number} maxSize Maximum allowed payload size in bytes. For an
+	 * encoded payload, the limit applies to the decoded size.
+	 * @param {?external:"stream.Transform"} decoder Decoder for the payload
+	 * content encoding, or <code>null</code> if the payload is not encoded.
+	 * @param {Object} parser The parser, which has <code>write(chunk)</code>
+	 * method and <code>end()</code> method that returns the parsed payload.
+	 * Both methods may throw a <code>SyntaxError</code> if the payload is
+	 * malformed, or an <code>Error</code> with <code>code</code> property
+	 * "payload_too_large" if a size limit enforced by the parser is exceeded.
+	 * @param {function} next Function that continues the processing, receives
+	 * the parsed payload.
 	 */
-	_process2(requestEntity, requestAttachments) {
-
-		try {
+	_readRequestPayload(maxSize, decoder, parser, next) {
 
-			// TODO: validate entity
-			console.log('>>> got request entity:');
-			//console.log(requestEntity);
+		const httpRequest = this._httpRequest;
+		const logger = this._app._logger;
 
-			// create call context
-			this._ctx = new EndpointCallContext(
-				this._app, this._app._runtime, this._authResult.actor,
-				requestEntity, requestAttachments);
+		// the payload is being read
+		this._setPhase('READING');
+		const cancellation = this._cancellation;
 
-			// call the handler
-			Promise.resolve(this._endpointMatch.handler.handleCall(this._ctx))
-				.then(
-					this._process3.bind(this),
-					this._sendInternalServerErrorResponse.bind(this)
-				);
+		// stop decoding the rest of the payload
+		const stopDecoding = () => {
+			if (decoder) {
+				httpRequest.unpipe(decoder);
+				decoder.destroy();
+			}
+		};
+
+		// helper function for the parser errors
+		const parserError = err => {
+			done = true;
+			if (err.code === 'payload_too_large')
+				this._sendRequestTooLargeResponse();
+			else if (err instanceof SyntaxError)
+				this._sendMalformedRequestEntityResponse();
+			else
+				this._sendInternalServerErrorResponse(err);
+		};
+
+		let bytesRead = 0;
+		let done = false;
+		(decoder ? httpRequest.pipe(decoder) : httpRequest)
+			.on('data', chunk => {
+				if (done || cancellation.cancelled)
+					return;
+				if ((bytesRead += chunk.length) > maxSize) {
+					done = true;
+					stopDecoding();
+					return this._sendRequestTooLargeResponse();
+				}
+				try {
+					parser.write(chunk);
+				} catch (err) {
+					stopDecoding();
+					parserError(err);
+				}
+			})
+			.on('end', () => {
+				if (done || cancellation.cancelled)
+					return;
+				done = true;
+				this._setPhase('HANDLING');
+				let payload;
+				try {
+					payload = parser.end();
+				} catch (err) {
+					return parserError(err);
+				}
+				next(payload);
+			});
+		httpRequest
+			.on('aborted', () => {
+				if (done)
+					return;
+				done = true;
+				logger.debug('request aborted by the client');
+				stopDecoding();
+			})
+			.on('error', err => {
+				if (done)
+					return;
+				done = true;
+				logger.warn('error reading request: %s', err.message);
+				stopDecoding();
+				httpRequest.connection.destroy();
+			});
+
+		// invalid encoded data
+		if (decoder)
+			decoder.on('error', err => {
+				if (done)
+					return;
+				done = true;
+				logger.debug('error decoding request: %s', err.message);
+				stopDecoding();
+				this._sendMalformedRequestEntityResponse();
+			});
+	}
+
+	/**
+	 * Continue endpoint call processing after reading a multipart request
+	 * payload. The first part is the request entity and the rest of the parts
+	 * are the request attachments.
+	 *
+	 * @private
+	 * @param {HttpEntity[]} parts The payload parts.
+	 */
+	_processMultipartPayload(parts) {
+
+		try {
+
+			// check that the request entity is present
+			if (parts.length === 0)
+				return this._sendMalformedRequestEntityResponse();
+
+			// process the request entity and the attachments
+			this._processRequestEntity(
+				parts[0], parts.slice(1)[Symbol.iterator]());
+
+		} catch (err) {
+			this._sendInternalServerErrorResponse(err);
+		}
+	}
+
+	/**
+	 * Deserialize the request entity and continue endpoint call processing.
+	 *
+	 * @private
+	 * @param {HttpEntity} entity The request entity with the raw data buffer.
+	 * @param {?Iterator.<HttpEntity>} requestAttachments Additional request
+	 * entities for a multipart request, or <code>null</code> if none.
+	 */
+	_processRequestEntity(entity, requestAttachments) {
+
+		try {
+
+			// find marshaller for deserialization
+			const cType = (entity.headers['content-type'] || 'text/plain');
+			const marshaller = this._app._services.get(
+				'marshaller:' + cType.split(/;\s*/)[0].toLowerCase());
+			if (!marshaller)
+				return this._sendResponse(
+					(new EndpointCallResponse(this._app, 415)).entity({
+						errorCode: 'X2-415',
+						errorMessage: 'Unsupported request entity content type.'
+					}));
+
+			// deserialize the entity
+			let requestEntity;
+			try {
+				requestEntity = marshaller.deserialize(entity.data, cType);
+			} catch (err) {
+				if (!(err instanceof SyntaxError))
+					throw err;
+				return this._sendMalformedRequestEntityResponse();
+			}
+
+			// continue processing
+			this._process2(requestEntity, requestAttachments);
+
+		} catch (err) {
+			this._sendInternalServerErrorResponse(err);
+		}
+	}
+
+	/**
+	 * Send HTTP 400 (Bad Request) response for a request entity that cannot be
+	 * parsed.
+	 *
+	 * @private
+	 */
+	_sendMalformedRequestEntityResponse() {
+
+		this._sendResponse(
+			(new EndpointCallResponse(this._app, 400)).entity({
+				errorCode: 'X2-400-4',
+				errorMessage: 'Malformed request entity.'
+			}));
+	}
+
+	/**
+	 * Send HTTP 413 (Payload Too Large) response and close the connection.
+	 *
+	 * @private
+	 */
+	_sendRequestTooLargeResponse() {
+
+		this._sendResponse(
+			(new EndpointCallResponse(this._app, 413)).entity({
+				errorCode: 'X2-413',
+				errorMessage: 'The request entity is too large.'
+			}).header('Connection', 'close'));
+	}
+
+	/**
+	 * Continue endpoint call processing after getting the request entity.
+	 *
+	 * @param {?Object} requestEntity Parsed request entity, or <code>null</code>
+	 * if none.
+	 * @param {?Iterator.<HttpEntity>} requestAttachments Additional request
+	 * entities for a multipart request, or <code>null</code> if none.
+	 */
+	_process2(requestEntity, requestAttachments) {
+
+		try {
+
+			// check if the request entity needs to be validated
+			if (!this._validateRequestEntity)
+				return this._callHandler(requestEntity, requestAttachments);
+
+			// validate the request entity and call the handler after that
+			const errors = new ValidationErrors(this._app);
+			Promise.resolve(validate(
+				this._validateRequestEntity, requestEntity, errors,
+				this._app._runtime
+			)).then(
+				validatedEntity => {
+					if (errors.hasErrors)
+						return this._sendResponse(
+							(new EndpointCallResponse(this._app, 400)).entity({
+								errorCode: 'X2-400-1',
+								errorMessage: 'Invalid request entity.',
+								validationErrors: errors.errors
+							}));
+					this._callHandler(validatedEntity, requestAttachments);
+				},
+				this._sendInternalServerErrorResponse.bind(this)
+			);
+
+		} catch (err) {
+			this._sendInternalServerErrorResponse(err);
+		}
+	}
+
+	/**
+	 * Call the handler with the validated request entity.
+	 *
+	 * @private
+	 * @param {?Object} requestEntity Validated request entity, or
+	 * <code>null</code> if none.
+	 * @param {?Iterator.<HttpEntity>} requestAttachments Additional request
+	 * entities for a multipart request, or <code>null</code> if none.
+	 */
+	_callHandler(requestEntity, requestAttachments) {
+
+		try {
+
+			// complete call context
+			const ctx = this._ctx;
+			ctx._recordsQuery = this._recordsQuery;
+			ctx._resourceValidators = this._resourceValidators;
+			ctx._requestEntity = requestEntity;
+			ctx._requestAttachments = requestAttachments;
+
+			// call the handler after the interceptors
+			this._intercept('beforeHandler', null, () => {
+
+				// limit the handler time if configured
+				const handlerTimeout = (
+					this._endpointMatch.endpoint.handlerTimeout
+						|| this._app._handlerTimeout);
+				if (handlerTimeout)
+					this._handlerTimer = setTimeout(() => {
+						this._app._logger.warn('handler timeout');
+						this._sendTimeoutResponse(false);
+					}, handlerTimeout);
+
+				// call the handler
+				Promise.resolve(this._endpointMatch.handler.handleCall(ctx))
+					.then(
+						this._process3.bind(this),
+						this._sendInternalServerErrorResponse.bind(this)
+					);
+			});
 
 		} catch (err) {
 			this._sendInternalServerErrorResponse(err);
@@ -862,6 +1817,9 @@ class EndpointCall {
 	 */
 	_process3(result) {
 
+		// the handler completed in time
+		clearTimeout(this._handlerTimer);
+
 		try {
 
 			// get the call response object
@@ -874,11 +1832,16 @@ class EndpointCall {
 				response = new EndpointCallResponse(this._app, 200).entity(
 					result);
 
+			// discard the late result if the call has timed out meanwhile
+			if (this._timedOut)
+				return this._sendResponse(response);
+
 			// update response actor
 			this._responseActor = this._ctx.actor;
 
-			// send the response
-			this._sendResponse(response);
+			// send the response after the interceptors
+			this._intercept(
+				'afterHandler', response, this._sendResponse.bind(this));
 
 		} catch (err) {
 			this._sendInternalServerErrorResponse(err);
@@ -886,14 +1849,73 @@ class EndpointCall {
 	}
 
 
+	/**
+	 * Call the interceptors of the specified call processing phase and
+	 * continue processing after that. If an interceptor of a phase before the
+	 * handler returns a response, the response is sent and the processing is
+	 * not continued. The processing is not continued either if the call is
+	 * cancelled before or during the phases before the handler.
+	 *
+	 * @private
+	 * @param {string} phase The call processing phase.
+	 * @param {?EndpointCallResponse} response The call response for the phases
+	 * after the handler, or <code>null</code> for the phases before it.
+	 * @param {function} next Function that continues the processing. Receives
+	 * the response returned by the interceptors for the phases after the
+	 * handler.
+	 * @param {function} [fail] Function that receives the error if an
+	 * interceptor fails. If not provided, HTTP 500 response is sent.
+	 */
+	_intercept(phase, response, next, fail) {
+
+		// don't proceed to the next phase if cancelled
+		const cancellation = this._cancellation;
+		if (!response && cancellation.cancelled)
+			return;
+
+		// check if any interceptors
+		const interceptors = this._app._interceptors.get(phase);
+		if (interceptors.length === 0)
+			return next(response);
+
+		// call the interceptors in a chain
+		const ctx = this._ctx;
+		const onError = (
+			fail || this._sendInternalServerErrorResponse.bind(this));
+		interceptors.reduce(
+			(chain, interceptor) => chain.then(current => (
+				(current && !response) ? current :
+					Promise.resolve(interceptor(ctx, current)).then(
+						result => (result || current))
+			)),
+			Promise.resolve(response)
+		).then(
+			result => {
+				if (!response && cancellation.cancelled)
+					return;
+				try {
+					if (result && !response)
+						this._sendResponse(result);
+					else
+						next(result);
+				} catch (err) {
+					onError(err);
+				}
+			},
+			onError
+		);
+	}
+
 	/**
 	 * Send HTTP 500 (Internal Server Error) response as a reaction to an
 	 * unexpected error.
 	 *
 	 * @private
 	 * @param {Error} err The error that caused the 500 response.
+	 * @param {boolean} [final] <code>true</code> if the response replaces the
+	 * timeout response of a timed out call.
 	 */
-	_sendInternalServerErrorResponse(err) {
+	_sendInternalServerErrorResponse(err, final) {
 
 		this._app._logger.error(err.stack);
 
@@ -901,7 +1923,35 @@ class EndpointCall {
 			(new EndpointCallResponse(this._app, 500)).entity({
 				errorCode: 'X2-500-1',
 				errorMessage: 'Internal server error.'
-			}));
+			}), final);
+	}
+
+	/**
+	 * Send HTTP 503 (Service Unavailable) response when the call cannot be
+	 * completed in time and cancel the call.
+	 *
+	 * @private
+	 * @param {boolean} closeConnection <code>true</code> to close the
+	 * connection after the response.
+	 */
+	_sendTimeoutResponse(closeConnection) {
+
+		if (this._responded || this._timedOut)
+			return;
+
+		// from now on any other response, such as a late handler result, is
+		// discarded, even while the interceptors are processing this one
+		this._timedOut = true;
+		this._cancel('timeout', 'Call processing timed out.');
+
+		const response = (new EndpointCallResponse(this._app, 503)).entity({
+			errorCode: 'X2-503',
+			errorMessage: 'Call processing timed out.'
+		});
+		if (closeConnection)
+			response.header('Connection', 'close');
+
+		this._sendResponse(response, true);
 	}
 
 	/**
@@ -929,6 +1979,11 @@ class EndpointCall {
 		// response always varies depending on the "Origin" header
 		response.header('Vary', 'Origin');
 
+		// response varies depending on the API version selection headers
+		this._endpointMatch.varyHeaders.forEach(headerName => {
+			response.header('Vary', headerName);
+		});
+
 		// process CORS preflight request
 		const origin = this._httpRequest.headers['origin'];
 		const requestedMethod =
@@ -936,16 +1991,17 @@ class EndpointCall {
 		if (origin && requestedMethod) {
 
 			// check if origin is allowed
+			const originsPatterns = this._getAllowedOriginsPatterns();
 			let allowedOrigin;
-			if (this._app._allowedPublicOriginsPattern
+			if (originsPatterns.public
 				&& this._endpointMatch.handler.isPublic(
 					this._endpointMatch.resourceUri,
 					this._endpointMatch.uriParams)
-				&& this._app._allowedPublicOriginsPattern.test(origin)) {
+				&& originsPatterns.public.test(origin)) {
 				allowedOrigin = 'ALLOWED_SPECIFIC';
-			} else if (!this._app._allowedSecureOriginsPattern) {
+			} else if (!originsPatterns.secure) {
 				allowedOrigin = 'ALLOWED_ANY';
-			} else if (this._app._allowedSecureOriginsPattern.test(origin)) {
+			} else if (originsPatterns.secure.test(origin)) {
 				allowedOrigin = 'ALLOWED_SPECIFIC_PLUS_CRED';
 			} else {
 				allowedOrigin = 'DISALLOWED';
@@ -977,17 +2033,58 @@ class EndpointCall {
 		}
 
 		// send OK response
-		this._httpResponse.writeHead(response.statusCode, response.headers);
+		this._writeHead(response.statusCode, response.headers);
 		this._httpResponse.end();
 	}
 
+	/**
+	 * Get patterns for the allowed CORS origins. The patterns configured for
+	 * the application can be overridden by the matched endpoint.
+	 *
+	 * @private
+	 * @returns {Object} Object with <code>secure</code> and <code>public</code>
+	 * origins patterns, either of which can be <code>undefined</code>.
+	 */
+	_getAllowedOriginsPatterns() {
+
+		const endpoint = (this._endpointMatch && this._endpointMatch.endpoint);
+		if (endpoint && endpoint.allowedSecureOriginsPattern)
+			return {
+				secure: endpoint.allowedSecureOriginsPattern,
+				public: endpoint.allowedPublicOriginsPattern
+			};
+
+		return {
+			secure: this._app._allowedSecureOriginsPattern,
+			public: this._app._allowedPublicOriginsPattern
+		};
+	}
+
 	/**
 	 * Send normal response to the endpoint call.
 	 *
 	 * @private
 	 * @param {EndpointCallResponse} response The response to send.
+	 * @param {boolean} [final] <code>true</code> if this is the final response
+	 * of a timed out call, which is sent instead of any other response.
 	 */
-	_sendResponse(response) {
+	_sendResponse(response, final) {
+
+		// discard the response if another one has been sent, or if the call
+		// has timed out and this is not the timeout response
+		if (this._responded || (this._timedOut && !final)) {
+			destroyStreams((response.entities || []).map(entity => entity.data));
+			return;
+		}
+
+		// let the interceptors see the response first
+		if (this._ctx && !this._responseIntercepted) {
+			this._responseIntercepted = true;
+			return this._intercept(
+				'beforeResponse', response,
+				result => { this._sendResponse(result, final); },
+				err => { this._sendInternalServerErrorResponse(err, final); });
+		}
 
 		// used refs
 		const app = this._app;
@@ -996,24 +2093,97 @@ class EndpointCall {
 		const httpRequestHeaders = this._httpRequest.headers;
 		const endpointMatch = this._endpointMatch;
 
+		// negotiate content type of the entities added without one
+		const negotiated = !!response._negotiableEntities;
+		if (negotiated) {
+			let contentType = negotiateContentType(
+				httpRequestHeaders['accept'], app._responseContentTypes,
+				app._endpointMapper);
+			if (contentType === null) {
+				if (response.statusCode < 400) {
+					destroyStreams(response.entities.map(entity => entity.data));
+					response = (new EndpointCallResponse(app, 406)).entity({
+						errorCode: 'X2-406',
+						errorMessage: 'None of the acceptable content types is'
+							+ ' supported.'
+					});
+				}
+				contentType = app._responseContentTypes[0];
+			}
+			response._negotiableEntities.forEach(entity => {
+				entity.headers['content-type'] = contentType;
+			});
+		}
+
+		// replace successful read response with 304 if not modified, which
+		// varies on the content coding the same as the full response would
+		let varyOnContentCoding = false;
+		if (((method === 'GET') || (method === 'HEAD'))
+			&& (response.statusCode === 200)
+			&& isNotModified(
+				httpRequestHeaders, response.getHeader('ETag'),
+				(response.hasHeader('Last-Modified') ?
+					new Date(response.getHeader('Last-Modified')) : undefined))) {
+			varyOnContentCoding = isCompressible(
+				app, response, isRangeable(method, response));
+			destroyStreams(
+				(response.entities || []).map(entity => entity.data));
+			response = notModifiedResponse(app, response);
+		}
+
+		// check if byte ranges of the response entity can be served
+		let rangeable = isRangeable(method, response);
+		if (rangeable)
+			response.header('Accept-Ranges', 'bytes');
+
+		// get requested byte ranges, if any
+		let ranges = null;
+		if (rangeable && (method === 'GET')
+			&& (httpRequestHeaders['range'] !== undefined)
+			&& isIfRangeMatching(httpRequestHeaders['if-range'], response)) {
+			const size = getEntityDataSize(response.entities[0].data);
+			ranges = parseRanges(httpRequestHeaders['range'], size);
+			if (ranges && (ranges.length === 0)) {
+				ranges = null;
+				rangeable = false;
+				response = (new EndpointCallResponse(app, 416)).header(
+					'Content-Range', 'bytes */' + size
+				).entity({
+					errorCode: 'X2-416',
+					errorMessage: 'None of the requested ranges is satisfiable.'
+				}, 'application/json');
+			}
+		}
+
 		// response always varies depending on the "Origin" header
 		response.header('Vary', 'Origin');
 
+		// response varies depending on the "Accept" header if negotiated
+		if (negotiated)
+			response.header('Vary', 'Accept');
+
+		// response varies depending on the API version selection headers
+		if (endpointMatch)
+			endpointMatch.varyHeaders.forEach(headerName => {
+				response.header('Vary', headerName);
+			});
+
 		// add CORS headers if cross-origin request
 		const origin = httpRequestHeaders['origin'];
 		if (origin) {
 
 			// test if the origin is allowed
+			const originsPatterns = this._getAllowedOriginsPatterns();
 			let allowedOrigin = true;
-			if (app._allowedPublicOriginsPattern
+			if (originsPatterns.public
 				&& endpointMatch
 				&& endpointMatch.handler.isPublic(
 					endpointMatch.resourceUri, endpointMatch.uriParams)
-				&& app._allowedPublicOriginsPattern.test(origin)) {
+				&& originsPatterns.public.test(origin)) {
 				response.header('Access-Control-Allow-Origin', origin);
-			} else if (!app._allowedSecureOriginsPattern) {
+			} else if (!originsPatterns.secure) {
 				response.header('Access-Control-Allow-Origin', '*');
-			} else if (app._allowedSecureOriginsPattern.test(origin)) {
+			} else if (originsPatterns.secure.test(origin)) {
 				response.header('Access-Control-Allow-Origin', origin);
 				response.header('Access-Control-Allow-Credentials', 'true');
 			} else {
@@ -1039,16 +2209,13 @@ class EndpointCall {
 			response, this._authResult, this._responseActor, this._requestUrl,
 			httpRequestHeaders);
 
-		// default response cache control
-		const statusCode = response.statusCode;
+		// response cache control according to the endpoint policy
+		const statusCode = (ranges ? 206 : response.statusCode);
 		if (((method === 'GET') || (method === 'HEAD'))
 			&& app._cacheableStatusCodes[statusCode]
-			&& !response.hasHeader('Cache-Control')) {
-			response
-				.header('Cache-Control', 'no-cache')
-				.header('Expires', '0')
-				.header('Pragma', 'no-cache');
-		}
+			&& !response.hasHeader('Cache-Control'))
+			(endpointMatch ? endpointMatch.cachePolicy : CachePolicy.DEFAULT)
+				.apply(response);
 
 		// get response entities
 		const entities = response.entities;
@@ -1062,29 +2229,62 @@ class EndpointCall {
 			} else {
 				response.header(
 					'Content-Type',
-					'multipart/mixed; boundary=' + this._boundary);
+					'multipart/mixed; boundary=' + app._boundary);
 			}
 		}
 
+		// check if the response payload may be compressed
+		const compressible = isCompressible(app, response, rangeable);
+		if (compressible || varyOnContentCoding)
+			response.header('Vary', 'Accept-Encoding');
+
 		// done if no entities or "HEAD" request
 		if (!entities || (method === 'HEAD')) {
-			this._httpResponse.writeHead(statusCode, response.headers);
+			if (entities)
+				destroyStreams(entities.map(entity => entity.data));
+			this._writeHead(statusCode, response.headers);
 			this._httpResponse.end();
 			return;
-		}		
+		}
 
-		// buffer or stream?
-		if (response.hasStreams) {
+		// create sequence of buffers and streams to send in the response body
+		// (the entity streams are destroyed if the payload cannot be created)
+		const chunks = [];
+		let encoder = null;
+		try {
+			if (ranges && (ranges.length === 1)) {
 
-			// TODO:...
+				const range = ranges[0];
+				chunks.push(getEntityDataRange(entities[0].data, range));
+				response.header(
+					'Content-Range',
+					'bytes ' + range.start + '-' + range.end + '/'
+						+ getEntityDataSize(entities[0].data));
 
-		} else { // no streams
+			} else if (ranges) { // multiple ranges
 
-			// create sequence of buffers to send in the response body
-			const bufs = [];
-			if (entities.length === 1) {
+				// multipart payload content type
+				const entity = entities[0];
+				response.header(
+					'Content-Type',
+					'multipart/byteranges; boundary=' + app._boundary);
+
+				// add the ranges as the payload parts
+				const size = getEntityDataSize(entity.data);
+				ranges.forEach(range => {
+					chunks.push(new Buffer(
+						'--' + app._boundary + '\r\n'
+							+ 'Content-Type: ' + entity.headers['content-type']
+							+ '\r\nContent-Range: bytes ' + range.start + '-'
+							+ range.end + '/' + size + '\r\n\r\n', 'utf8'));
+					chunks.push(getEntityDataRange(entity.data, range));
+					chunks.push(new Buffer('\r\n', 'ascii'));
+				});
+				chunks.push(new Buffer('--' + app._boundary + '--', 'ascii'));
 
-				bufs.push(this._getResponseEntityDataBuffer(entities[0]));
+			} else if (entities.length === 1) {
+
+				chunks.push(this._getResponseEntityData(entities[0]));
 
 			} else { // multipart
 
@@ -1096,69 +2296,201 @@ class EndpointCall {
 				const crlf = new Buffer('\r\n', 'ascii');
 
 				// add payload parts
-				entities.forEach((entity, ind) => {
+				entities.forEach(entity => {
 
 					// part boundary
-					bufs.push(boundaryMid);
+					chunks.push(boundaryMid);
 
 					// part headers
+					let partHead = '';
 					for (let h of Object.keys(entity.headers))
 						partHead += util.headerCase(h) + ': '
 							+ entity.headers[h] + '\r\n';
 					partHead += '\r\n';
-					bufs.push(new Buffer(partHead, 'ascii'));
+					chunks.push(new Buffer(partHead, 'utf8'));
 
 					// part body
-					bufs.push(this._getResponseEntityDataBuffer(entity));
+					chunks.push(this._getResponseEntityData(entity));
 
 					// part end
-					bufs.push(crlf);
+					chunks.push(crlf);
 				});
 
 				// end boundary of the multipart payload
-				bufs.push(boundaryEnd);
+				chunks.push(boundaryEnd);
+			}
+
+			// get content length, unless streamed using chunked encoding
+			const contentLength = chunks.reduce(
+				(totalLength, chunk) => (
+					(totalLength === null) || (chunk instanceof stream.Readable) ?
+						null : totalLength + (
+							chunk instanceof Buffer ? chunk.length :
+								chunk.end - chunk.start + 1)
+				), 0);
+
+			// compress the payload if large enough and accepted by the client
+			if (compressible && (
+				(contentLength === null)
+					|| (contentLength >= app._compressionThreshold))) {
+				const contentCoding = negotiateContentCoding(
+					httpRequestHeaders['accept-encoding']);
+				if (contentCoding) {
+					encoder = createEncoder(contentCoding);
+					response.header('Content-Encoding', contentCoding);
+				}
 			}
 
-			// set response content length
-			response.header(
-				'Content-Length',
-				bufs.reduce((totalLength, buf) => totalLength + buf.length, 0));
+			// set response content length if known
+			if ((contentLength !== null) && !encoder)
+				response.header('Content-Length', contentLength);
 
 			// write response head
-			const httpResponse = this._httpResponse;
-			httpResponse.writeHead(statusCode, response.headers);
-
-			// write response body buffers
-			const numBufs = bufs.length;
-			let curBufInd = 0;
-			function writeHttpResponse() {
-				while (curBufInd < numBufs) {
-					if (!httpResponse.write(bufs[curBufInd++])) {
-						httpResponse.once('drain', writeHttpResponse);
-						return;
+			this._writeHead(statusCode, response.headers);
+
+		} catch (err) {
+			destroyStreams(entities.map(entity => entity.data));
+			throw err;
+		}
+
+		// write response body
+		this._writeResponseBody(chunks, encoder);
+	}
+
+	/**
+	 * Write the response head and switch to the responding phase. Once the head
+	 * is written, any other response to the call is discarded. Until then, if
+	 * building the response fails, an error response can still be sent
+	 * instead.
+	 *
+	 * @private
+	 * @param {number} statusCode HTTP response status code.
+	 * @param {Object.<string,string>} headers HTTP response headers.
+	 */
+	_writeHead(statusCode, headers) {
+
+		this._httpResponse.writeHead(statusCode, headers);
+		this._responded = true;
+		clearTimeout(this._handlerTimer);
+		this._setPhase('RESPONDING');
+	}
+
+	/**
+	 * Write the response body and end the response. The buffers are written as
+	 * they are, while the streams are piped into the response one after another
+	 * respecting the backpressure. The streams for the seekable stream source
+	 * ranges are created when their turn comes. If a stream fails or the client
+	 * disconnects before the whole body is written, all the streams are
+	 * destroyed and, in the case of a stream error, the connection is closed,
+	 * so that the client can see that the response is incomplete.
+	 *
+	 * @private
+	 * @param {Array.<(external:Buffer|external:"stream.Readable"|Object)>} chunks
+	 * The response body chunks. A chunk that is an object is a seekable stream
+	 * source range (see {@link getEntityDataRange}).
+	 * @param {?external:"stream.Transform"} encoder Encoder for the response
+	 * content encoding, through which the body is written, or <code>null</code>
+	 * if the body is not encoded.
+	 */
+	_writeResponseBody(chunks, encoder) {
+
+		// used refs
+		const logger = this._app._logger;
+		const httpRequest = this._httpRequest;
+		const httpResponse = this._httpResponse;
+
+		// abort sending the response
+		let aborted = false;
+		let sourceStream = null;
+		function abort() {
+			aborted = true;
+			destroyStreams(chunks);
+			if (sourceStream)
+				destroyStreams([ sourceStream ]);
+			if (encoder)
+				encoder.destroy();
+		}
+
+		// react to stream errors and client disconnects
+		const streamError = err => {
+			if (aborted)
+				return;
+			logger.error('error streaming response: %s', err.stack);
+			abort();
+			httpRequest.connection.destroy();
+		};
+		chunks.forEach(chunk => {
+			if (chunk instanceof stream.Readable)
+				chunk.on('error', streamError);
+		});
+		if (encoder)
+			encoder.on('error', streamError);
+		let finished = false;
+		httpResponse
+			.on('finish', () => { finished = true; })
+			.on('close', () => {
+				if (!finished && !aborted) {
+					logger.warn('connection closed before response was sent');
+					abort();
+				}
+			});
+
+		// write the chunks
+		const target = (encoder ? encoder : httpResponse);
+		if (encoder)
+			encoder.pipe(httpResponse);
+		const numChunks = chunks.length;
+		let curChunkInd = 0;
+		function writeHttpResponse() {
+			while (!aborted && (curChunkInd < numChunks)) {
+				let chunk = chunks[curChunkInd++];
+				if (!(chunk instanceof Buffer)
+					&& !(chunk instanceof stream.Readable)) {
+					try {
+						chunk = sourceStream = chunk.source.createReadStream(
+							chunk.start, chunk.end);
+					} catch (err) {
+						return streamError(err);
 					}
+					chunk.on('error', streamError);
+				}
+				if (chunk instanceof stream.Readable) {
+					chunk.once('end', writeHttpResponse);
+					chunk.pipe(target, { end: false });
+					return;
+				}
+				if (!target.write(chunk)) {
+					target.once('drain', writeHttpResponse);
+					return;
 				}
-				httpResponse.end();
 			}
-			writeHttpResponse();
-
-			// TODO: error and close events
+			if (!aborted)
+				target.end();
 		}
+		writeHttpResponse();
 	}
 
 	/**
-	 * Get data buffer for the specified response entity invoking appropriate
+	 * Get data for the specified response entity invoking appropriate
 	 * marshaller service if necessary.
 	 *
 	 * @private
 	 * @param {HttpEntity} entity Response entity.
-	 * @returns {external:Buffer} Buffer with the response entity data.
+	 * @returns {(external:Buffer|external:"stream.Readable"|Object)} Buffer with
+	 * the response entity data, the stream if the entity data is a stream, or
+	 * the whole range of a seekable stream source (see
+	 * {@link getEntityDataRange}).
 	 */
-	_getResponseEntityDataBuffer(entity) {
+	_getResponseEntityData(entity) {
 
-		if (entity.data instanceof Buffer)
+		if ((entity.data instanceof Buffer)
+			|| (entity.data instanceof stream.Readable))
 			return entity.data;
 
+		if (util.isSeekableStreamSource(entity.data))
+			return getEntityDataRange(
+				entity.data, { start: 0, end: entity.data.size - 1 });
+
 		const contentType = entity.headers['content-type'];
 		const marshaller = this._app._services.get(
 			'marshaller:' + contentType.split(/;\s*/)[0]);
@@ -1167,4 +2499,571 @@ class EndpointCall {
 	}
 }
 
+/**
+ * Create parser for a non-multipart request payload, which simply collects the
+ * payload data.
+ *
+ * @private
+ * @returns {Object} The parser, whose <code>end()</code> method returns the
+ * collected data {@link external:Buffer}.
+ */
+function newBufferingParser() {
+
+	const dataBufs = new Array();
+	let size = 0;
+
+	return {
+		write(chunk) {
+			dataBufs.push(chunk);
+			size += chunk.length;
+		},
+		end() {
+			return (
+				dataBufs.length === 1 ? dataBufs[0] :
+					Buffer.concat(dataBufs, size));
+		}
+	};
+}
+
+/**
+ * Pattern for a media range in the "Accept" request header.
+ *
+ * @private
+ * @constant {external:RegExp}
+ */
+const MEDIA_RANGE = /^\s*([\w!#$%&'*+.^`|~-]+)\/([\w!#$%&'*+.^`|~-]+)\s*$/;
+
+/**
+ * Pattern for the quality parameter of a media range in the "Accept" request
+ * header.
+ *
+ * @private
+ * @constant {external:RegExp}
+ */
+const QUALITY_PARAM = /^\s*q\s*=\s*([01](?:\.\d{0,3})?)\s*$/i;
+
+/**
+ * Choose response content type that best matches the "Accept" request header.
+ * Each available content type gets the quality value of the most specific media
+ * range in the header that matches it, and the type with the highest quality
+ * wins. A media range with a structured syntax suffix, such as
+ * "application/vnd.acme.v2+json", matches the content type named by the suffix
+ * ("application/json"), less specifically than an exact match. An API version
+ * vendor media type without a suffix selects only the API version and is
+ * treated as "*&#47;*". Malformed media ranges in the header are ignored.
+ *
+ * @private
+ * @param {string} [accept] The "Accept" request header value, if any.
+ * @param {string[]} contentTypes Available content types in the order of
+ * preference.
+ * @param {EndpointMapper} endpointMapper Endpoint mapper used to recognize the
+ * API version vendor media types.
+ * @returns {?string} The chosen content type, or <code>null</code> if none is
+ * acceptable.
+ */
+function negotiateContentType(accept, contentTypes, endpointMapper) {
+
+	// parse the media ranges
+	const ranges = new Array();
+	(accept || '').split(',').forEach(rangeStr => {
+		const params = rangeStr.split(';');
+		const match = MEDIA_RANGE.exec(params[0]);
+		if (!match)
+			return;
+		let q = 1;
+		for (let i = 1; i < params.length; i++) {
+			const qMatch = QUALITY_PARAM.exec(params[i]);
+			if (qMatch) {
+				q = Number(qMatch[1]);
+				break;
+			}
+		}
+		const subtype = match[2].toLowerCase();
+		const suffixInd = subtype.lastIndexOf('+');
+		const range = {
+			type: match[1].toLowerCase(),
+			subtype: subtype,
+			suffix: (suffixInd > 0 ? subtype.substring(suffixInd + 1) : null),
+			q: q
+		};
+		if (!range.suffix && endpointMapper.isApiVersionMediaType(
+			params[0].trim())) {
+			range.type = '*';
+			range.subtype = '*';
+		}
+		ranges.push(range);
+	});
+
+	// anything is acceptable if no valid header
+	if (ranges.length === 0)
+		return (contentTypes.length > 0 ? contentTypes[0] : null);
+
+	// find the type with the highest quality
+	let bestType = null, bestQ = 0;
+	contentTypes.forEach(contentType => {
+		const typeParts = contentType.toLowerCase().split('/');
+		let q = 0, specificity = -1;
+		ranges.forEach(range => {
+			let s;
+			if ((range.type === '*') && (range.subtype === '*'))
+				s = 0;
+			else if (range.type !== typeParts[0])
+				return;
+			else if (range.subtype === '*')
+				s = 1;
+			else if (range.subtype === typeParts[1])
+				s = 3;
+			else if (range.suffix === typeParts[1])
+				s = 2;
+			else
+				return;
+			if (s > specificity) {
+				specificity = s;
+				q = range.q;
+			}
+		});
+		if (q > bestQ) {
+			bestType = contentType;
+			bestQ = q;
+		}
+	});
+
+	return bestType;
+}
+
+/**
+ * Supported content codings in the order of preference. Brotli is available
+ * only on Node.js 11.7 and up.
+ *
+ * @private
+ * @constant {string[]}
+ */
+const CONTENT_CODINGS = (
+	typeof zlib.createBrotliCompress === 'function' ?
+		[ 'br', 'gzip', 'deflate' ] : [ 'gzip', 'deflate' ]);
+
+/**
+ * Tell if byte ranges of the response entity can be served, which is the case
+ * for a successful read response with a single entity that is a buffer or a
+ * seekable stream source.
+ *
+ * @private
+ * @param {string} method HTTP request method.
+ * @param {EndpointCallResponse} response The response.
+ * @returns {boolean} <code>true</code> if rangeable.
+ */
+function isRangeable(method, response) {
+
+	const entities = response.entities;
+
+	return ((method === 'GET') || (method === 'HEAD'))
+		&& (response.statusCode === 200)
+		&& !response.hasHeader('Content-Encoding')
+		&& !!entities && (entities.length === 1)
+		&& ((entities[0].data instanceof Buffer)
+			|| util.isSeekableStreamSource(entities[0].data));
+}
+
+/**
+ * Tell if the response payload may be compressed, depending on the content
+ * codings accepted by the client.
+ *
+ * @private
+ * @param {Application} app The application.
+ * @param {EndpointCallResponse} response The response.
+ * @param {boolean} rangeable <code>true</code> if byte ranges of the response
+ * entity can be served, in which case the payload is not compressed.
+ * @returns {boolean} <code>true</code> if compressible.
+ */
+function isCompressible(app, response, rangeable) {
+
+	const entities = response.entities;
+	if (!entities || rangeable || response.hasHeader('Content-Encoding'))
+		return false;
+
+	return isCompressibleContentType(
+		app, (
+			entities.length === 1 ? entities[0].headers['content-type'] :
+				'multipart/mixed'));
+}
+
+/**
+ * Tell if payload of the specified content type may be compressed.
+ *
+ * @private
+ * @param {Application} app The application.
+ * @param {string} contentType The content type.
+ * @returns {boolean} <code>true</code> unless one of the content types that
+ * are never compressed.
+ */
+function isCompressibleContentType(app, contentType) {
+
+	return !app._uncompressedContentTypesPattern.test(
+		contentType.split(';')[0].trim());
+}
+
+/**
+ * Choose response content coding that best matches the "Accept-Encoding"
+ * request header.
+ *
+ * @private
+ * @param {string} [acceptEncoding] The "Accept-Encoding" request header value,
+ * if any.
+ * @returns {?string} The chosen content coding, or <code>null</code> if the
+ * response should not be encoded.
+ */
+function negotiateContentCoding(acceptEncoding) {
+
+	// parse the codings
+	const qualities = new Map();
+	(acceptEncoding || '').split(',').forEach(codingStr => {
+		const params = codingStr.split(';');
+		const coding = params[0].trim().toLowerCase();
+		if (coding.length === 0)
+			return;
+		let q = 1;
+		for (let i = 1; i < params.length; i++) {
+			const qMatch = QUALITY_PARAM.exec(params[i]);
+			if (qMatch) {
+				q = Number(qMatch[1]);
+				break;
+			}
+		}
+		qualities.set((coding === 'x-gzip' ? 'gzip' : coding), q);
+	});
+
+	// find the coding with the highest quality
+	let bestCoding = null, bestQ = 0;
+	CONTENT_CODINGS.forEach(coding => {
+		const q = (
+			qualities.has(coding) ? qualities.get(coding) :
+				(qualities.has('*') ? qualities.get('*') : 0));
+		if (q > bestQ) {
+			bestCoding = coding;
+			bestQ = q;
+		}
+	});
+
+	// don't encode if the client prefers the payload as is
+	if (qualities.has('identity') && (qualities.get('identity') > bestQ))
+		return null;
+
+	return bestCoding;
+}
+
+/**
+ * Create encoder for the specified content coding.
+ *
+ * @private
+ * @param {string} coding One of the supported content codings.
+ * @returns {external:"stream.Transform"} The encoder.
+ */
+function createEncoder(coding) {
+
+	switch (coding) {
+	case 'br':
+		// lower quality than the default to keep compression fast
+		return zlib.createBrotliCompress({
+			params: {
+				[zlib.constants.BROTLI_PARAM_QUALITY]: 4
+			}
+		});
+	case 'gzip':
+		return zlib.createGzip();
+	default:
+		return zlib.createDeflate();
+	}
+}
+
+/**
+ * Create decoder for the specified request content coding.
+ *
+ * @private
+ * @param {string} coding All lower-case content coding.
+ * @returns {?external:"stream.Transform"} The decoder, or <code>null</code> if
+ * the coding is not supported.
+ */
+function createDecoder(coding) {
+
+	switch (coding) {
+	case 'br':
+		return (
+			typeof zlib.createBrotliDecompress === 'function' ?
+				zlib.createBrotliDecompress() : null);
+	case 'gzip':
+	case 'x-gzip':
+		return zlib.createGunzip();
+	case 'deflate':
+		return zlib.createInflate();
+	default:
+		return null;
+	}
+}
+
+/**
+ * Maximum number of byte ranges in a "Range" request header. A header with more
+ * ranges is ignored.
+ *
+ * @private
+ * @constant {number}
+ */
+const MAX_RANGES = 16;
+
+/**
+ * Parse "Range" request header. Overlapping and adjacent ranges are merged, so
+ * that no byte of the entity is sent more than once.
+ *
+ * @private
+ * @param {string} value The header value.
+ * @param {number} size Size of the entity data in bytes.
+ * @returns {?Array.<{start: number, end: number}>} The satisfiable ranges with
+ * the inclusive positions of the first and the last bytes in ascending order,
+ * which may be empty if none of the ranges is satisfiable, or
+ * <code>null</code> if the header is malformed, uses an unsupported range unit
+ * or requests too many ranges and must be ignored.
+ */
+function parseRanges(value, size) {
+
+	const match = /^\s*bytes\s*=(.+)$/i.exec(value);
+	if (!match)
+		return null;
+
+	const rangeSpecs = match[1].split(',');
+	if (rangeSpecs.length > MAX_RANGES)
+		return null;
+
+	const ranges = new Array();
+	for (let rangeSpec of rangeSpecs) {
+		const rangeMatch = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(rangeSpec);
+		if (!rangeMatch || (rangeMatch[1].length + rangeMatch[2].length === 0))
+			return null;
+		let start, end;
+		if (rangeMatch[1].length === 0) { // suffix range
+			const suffixLength = Number(rangeMatch[2]);
+			if ((suffixLength === 0) || (size === 0))
+				continue;
+			start = Math.max(size - suffixLength, 0);
+			end = size - 1;
+		} else {
+			start = Number(rangeMatch[1]);
+			end = (rangeMatch[2].length > 0 ? Number(rangeMatch[2]) : Infinity);
+			if (end < start)
+				return null;
+			if (start >= size)
+				continue;
+			end = Math.min(end, size - 1);
+		}
+		ranges.push({ start: start, end: end });
+	}
+
+	// merge overlapping and adjacent ranges
+	ranges.sort((r1, r2) => (r1.start - r2.start));
+
+	return ranges.reduce((merged, range) => {
+		const last = merged[merged.length - 1];
+		if (last && (range.start <= last.end + 1))
+			last.end = Math.max(last.end, range.end);
+		else
+			merged.push(range);
+		return merged;
+	}, new Array());
+}
+
+/**
+ * Tell if the "If-Range" request header, if any, allows sending only the
+ * requested byte ranges of the response entity. The header matches if it is a
+ * strong entity tag equal to the response "ETag", or a date equal to the
+ * response "Last-Modified".
+ *
+ * @private
+ * @param {string} [ifRange] The "If-Range" request header value, if any.
+ * @param {EndpointCallResponse} response The full response.
+ * @returns {boolean} <code>true</code> if no header or it matches.
+ */
+function isIfRangeMatching(ifRange, response) {
+
+	if (ifRange === undefined)
+		return true;
+
+	// entity tag?
+	const value = ifRange.trim();
+	if (/^(?:W\/)?"/.test(value)) {
+		const etag = response.getHeader('ETag');
+		return (!!etag && !etag.startsWith('W/') && (value === etag));
+	}
+
+	// date
+	const date = Date.parse(value);
+	return (!isNaN(date) && response.hasHeader('Last-Modified')
+		&& (Date.parse(response.getHeader('Last-Modified')) === date));
+}
+
+/**
+ * Get size of response entity data that supports byte ranges.
+ *
+ * @private
+ * @param {(external:Buffer|SeekableStreamSource)} data The entity data.
+ * @returns {number} The data size in bytes.
+ */
+function getEntityDataSize(data) {
+
+	return (data instanceof Buffer ? data.length : data.size);
+}
+
+/**
+ * Get byte range of response entity data. For a buffer, the range is a
+ * buffer slice. For a seekable stream source, the range is an object with
+ * <code>source</code>, <code>start</code> and <code>end</code> properties, for
+ * which the stream is created only when it is sent.
+ *
+ * @private
+ * @param {(external:Buffer|SeekableStreamSource)} data The entity data.
+ * @param {{start: number, end: number}} range The range with the inclusive
+ * positions of the first and the last bytes.
+ * @returns {(external:Buffer|Object)} The data range.
+ */
+function getEntityDataRange(data, range) {
+
+	if (data instanceof Buffer)
+		return data.slice(range.start, range.end + 1);
+
+	if (range.end < range.start)
+		return new Buffer(0);
+
+	return {
+		source: data,
+		start: range.start,
+		end: range.end
+	};
+}
+
+/**
+ * Get connection timeout set on the server that accepted the connection.
+ *
+ * @private
+ * @param {external:"net.Socket"} socket The connection socket.
+ * @returns {number} The timeout in milliseconds, or zero if none.
+ */
+function getServerTimeout(socket) {
+
+	return ((socket.server && socket.server.timeout) || 0);
+}
+
+/**
+ * Destroy streams found among the specified objects, so that the underlying
+ * resources, such as open files, are released. Objects that are not streams
+ * are ignored.
+ *
+ * @private
+ * @param {Array} objs The objects, such as response entity data.
+ */
+function destroyStreams(objs) {
+
+	objs.forEach(obj => {
+		if ((obj instanceof stream.Readable)
+			&& (typeof obj.destroy === 'function'))
+			obj.destroy();
+	});
+}
+
+/**
+ * Run validation function chain. If a function in the chain returns a promise,
+ * the rest of the chain is called after the promise is fulfilled.
+ *
+ * @private
+ * @param {(ValidationFunction|ValidationFunction[])} validators Validation
+ * function or chain of validation functions to call in order.
+ * @param {Object} obj Object to validate.
+ * @param {ValidationErrors} errors Validation errors accumulator.
+ * @param {Runtime} runtime Application runtime.
+ * @returns {(Object|Promise.<Object>)} The validated object, or
+ * <code>null</code> if a function in the chain returned <code>null</code>,
+ * which stops the chain, or a promise of it if any function in the chain is
+ * asynchronous.
+ */
+function validate(validators, obj, errors, runtime) {
+
+	const chain = (Array.isArray(validators) ? validators : [ validators ]);
+	let nextInd = 0;
+	function next(res) {
+		while ((nextInd < chain.length) && (res !== null)) {
+			res = chain[nextInd++](res, errors, runtime);
+			if (res && (typeof res.then === 'function'))
+				return res.then(next);
+		}
+		return res;
+	}
+
+	return next(obj);
+}
+
+/**
+ * Response headers preserved in a 304 response.
+ *
+ * @private
+ * @constant {string[]}
+ */
+const NOT_MODIFIED_HEADERS = [
+	'Cache-Control', 'Content-Location', 'ETag', 'Expires', 'Last-Modified',
+	'Vary'
+];
+
+/**
+ * Evaluate "If-None-Match" and "If-Modified-Since" preconditions of a "GET" or
+ * "HEAD" request against the current state of the target resource.
+ *
+ * @private
+ * @param {Object.<string,string>} httpRequestHeaders HTTP request headers.
+ * @param {string} [etag] Current entity tag of the resource.
+ * @param {Date} [lastModified] Current last modification timestamp of the
+ * resource.
+ * @returns {boolean} <code>true</code> if the request includes the
+ * preconditions and the resource has not been modified.
+ */
+function isNotModified(httpRequestHeaders, etag, lastModified) {
+
+	// check "If-None-Match" first, which takes precedence if present
+	const ifNoneMatch = httpRequestHeaders['if-none-match'];
+	if (ifNoneMatch !== undefined) {
+		const tags = util.parseEntityTags(ifNoneMatch);
+		if (tags === '*')
+			return true;
+		if (!etag)
+			return false;
+		const opaqueTag = etag.replace(/^W\//, '');
+		return tags.some(tag => (tag.replace(/^W\//, '') === opaqueTag));
+	}
+
+	// check "If-Modified-Since"
+	const ifModifiedSince = httpRequestHeaders['if-modified-since'];
+	if ((ifModifiedSince !== undefined) && lastModified) {
+		const since = Date.parse(ifModifiedSince);
+		return (!isNaN(since) && !isNaN(lastModified.getTime())
+			&& (Math.floor(lastModified.getTime() / 1000)
+				<= Math.floor(since / 1000)));
+	}
+
+	// no preconditions
+	return false;
+}
+
+/**
+ * Create 304 (Not Modified) response for a successful read response.
+ *
+ * @private
+ * @param {Application} app The application.
+ * @param {EndpointCallResponse} response The original response.
+ * @returns {EndpointCallResponse} The 304 response with the relevant headers
+ * from the original response and no entities.
+ */
+function notModifiedResponse(app, response) {
+
+	const res = new EndpointCallResponse(app, 304);
+	NOT_MODIFIED_HEADERS.forEach(h => {
+		res.header(h, response.getHeader(h));
+	});
+
+	return res;
+}
+
 module.exports = Application;
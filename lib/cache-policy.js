@@ -0,0 +1,109 @@
+"use strict";
+
+/**
+ * Response cacheability policy. The policy determines the "Cache-Control" HTTP
+ * response header (as well as "Expires" and "Pragma" for older clients) added
+ * to responses to "GET" and "HEAD" calls. The following policies, called
+ * <em>cacheability</em> values, are supported:
+ *
+ * <dl>
+ * <dt>sensitive<dd>The response contains sensitive information and must not be
+ * stored by any cache ("no-store").
+ * <dt>nocache<dd>The response may be stored, but must be revalidated with the
+ * server each time it is used ("no-cache").
+ * <dt>default<dd>The response is immediately stale and must be revalidated
+ * before it is used ("max-age=0, must-revalidate"). This is the policy used
+ * unless a different one is specified.
+ * <dt>private<dd>The response may be stored and used for the specified time by
+ * the client's private cache, but not by shared caches ("private,
+ * max-age=ttl").
+ * <dt>public<dd>The response may be stored and used for the specified time by
+ * any cache ("public, max-age=ttl").
+ * </dl>
+ *
+ * <p>The policy is specified by the resource definition (see
+ * {@link ResourceDefinition}), may be overridden by the endpoint definition
+ * (see {@link EndpointDefinition}) and further overridden for a specific
+ * response by the handler (see {@link EndpointCallResponse#cacheability}).
+ */
+class CachePolicy {
+
+	/**
+	 * Create new policy.
+	 *
+	 * @param {string} cacheability The cacheability value.
+	 * @param {number} [maxAge] Time in seconds, for which the response is
+	 * considered fresh. Required for "private" and "public" policies and ignored
+	 * by all other policies.
+	 * @throws {Error} If the cacheability or the max age are invalid.
+	 */
+	constructor(cacheability, maxAge) {
+
+		this._cacheability = cacheability;
+
+		this._headers = {
+			'Expires': undefined,
+			'Pragma': undefined
+		};
+		switch (cacheability) {
+		case 'sensitive':
+			this._headers['Cache-Control'] = 'no-store';
+			this._headers['Expires'] = '0';
+			this._headers['Pragma'] = 'no-cache';
+			break;
+		case 'nocache':
+			this._headers['Cache-Control'] = 'no-cache';
+			this._headers['Expires'] = '0';
+			this._headers['Pragma'] = 'no-cache';
+			break;
+		case 'default':
+			this._headers['Cache-Control'] = 'max-age=0, must-revalidate';
+			break;
+		case 'private':
+		case 'public':
+			if (!Number.isInteger(maxAge) || (maxAge < 0))
+				throw new Error(
+					'Cacheability "' + cacheability
+						+ '" requires a non-negative integer max age.');
+			this._headers['Cache-Control'] =
+				cacheability + ', max-age=' + maxAge;
+			break;
+		default:
+			throw new Error('Invalid cacheability "' + cacheability + '".');
+		}
+	}
+
+
+	/**
+	 * The cacheability value.
+	 *
+	 * @type {string}
+	 * @readonly
+	 */
+	get cacheability() {
+
+		return this._cacheability;
+	}
+
+	/**
+	 * Add cache control headers to the response replacing any existing ones.
+	 *
+	 * @param {EndpointCallResponse} response The response.
+	 */
+	apply(response) {
+
+		response.header('Cache-Control', null);
+		for (let h of Object.keys(this._headers))
+			response.header(h, this._headers[h]);
+	}
+}
+
+/**
+ * The default policy.
+ *
+ * @member {CachePolicy} CachePolicy.DEFAULT
+ * @readonly
+ */
+CachePolicy.DEFAULT = new CachePolicy('default');
+
+module.exports = CachePolicy;
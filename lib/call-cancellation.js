@@ -0,0 +1,167 @@
+"use strict";
+
+const EventEmitter = require('events');
+
+/**
+ * Cancellation signal used on Node.js versions that do not have the global
+ * <code>AbortController</code>. Implements the part of the
+ * <code>AbortSignal</code> interface that the endpoint handlers can rely on:
+ * <code>aborted</code>, <code>reason</code>, <code>onabort</code>,
+ * <code>throwIfAborted()</code> and the "abort" event listeners.
+ *
+ * @private
+ */
+class FallbackAbortSignal extends EventEmitter {
+
+	/**
+	 * Create new signal, which is not aborted.
+	 */
+	constructor() {
+		super();
+
+		this.aborted = false;
+		this.reason = undefined;
+		this.onabort = null;
+	}
+
+
+	/**
+	 * Add event listener.
+	 *
+	 * @param {string} type Event type.
+	 * @param {function} listener The listener.
+	 * @param {Object} [options] Listener options, of which only
+	 * <code>once</code> is supported.
+	 */
+	addEventListener(type, listener, options) {
+
+		if (options && options.once)
+			this.once(type, listener);
+		else
+			this.on(type, listener);
+	}
+
+	/**
+	 * Remove event listener.
+	 *
+	 * @param {string} type Event type.
+	 * @param {function} listener The listener.
+	 */
+	removeEventListener(type, listener) {
+
+		this.removeListener(type, listener);
+	}
+
+	/**
+	 * Throw the abort reason if the signal is aborted.
+	 */
+	throwIfAborted() {
+
+		if (this.aborted)
+			throw this.reason;
+	}
+
+	/**
+	 * Abort the signal and notify the listeners. As with the native signal, an
+	 * error thrown by a listener does not interrupt the caller but is rethrown
+	 * asynchronously.
+	 *
+	 * @param {*} reason The abort reason.
+	 */
+	_abort(reason) {
+
+		this.aborted = true;
+		this.reason = reason;
+
+		const event = { type: 'abort', target: this };
+		const listeners = this.listeners('abort');
+		if (typeof this.onabort === 'function')
+			listeners.unshift(this.onabort);
+		this.removeAllListeners('abort');
+		listeners.forEach(listener => {
+			try {
+				listener.call(this, event);
+			} catch (err) {
+				process.nextTick(() => { throw err; });
+			}
+		});
+	}
+}
+
+/**
+ * Endpoint call cancellation, which provides the call cancellation signal (see
+ * {@link EndpointCallContext#signal}). Uses the native
+ * <code>AbortController</code> if available, or a fallback signal on the older
+ * Node.js versions. In either case the signal's <code>reason</code> is set
+ * when the call is cancelled.
+ *
+ * @private
+ */
+class CallCancellation {
+
+	/**
+	 * Create new, not yet cancelled call cancellation.
+	 */
+	constructor() {
+
+		if (typeof AbortController === 'function') {
+			this._controller = new AbortController();
+			this._signal = this._controller.signal;
+		} else {
+			this._controller = null;
+			this._signal = new FallbackAbortSignal();
+		}
+	}
+
+
+	/**
+	 * The cancellation signal.
+	 *
+	 * @type {external:AbortSignal}
+	 * @readonly
+	 */
+	get signal() {
+
+		return this._signal;
+	}
+
+	/**
+	 * Tells if the call has been cancelled.
+	 *
+	 * @type {boolean}
+	 * @readonly
+	 */
+	get cancelled() {
+
+		return this._signal.aborted;
+	}
+
+	/**
+	 * Cancel the call, unless already cancelled, and abort the signal.
+	 *
+	 * @param {string} code Cancellation reason code.
+	 * @param {string} message Cancellation reason message.
+	 */
+	cancel(code, message) {
+
+		if (this._signal.aborted)
+			return;
+
+		const reason = new Error(message);
+		reason.code = code;
+
+		if (!this._controller)
+			return this._signal._abort(reason);
+
+		// native signals before Node.js 17.2 do not keep the reason
+		if (!('reason' in this._signal))
+			Object.defineProperty(this._signal, 'reason', {
+				value: reason,
+				enumerable: true
+			});
+
+		this._controller.abort(reason);
+	}
+}
+
+module.exports = CallCancellation;
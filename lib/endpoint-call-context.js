@@ -6,6 +6,16 @@ const EndpointCallResponse = require('./endpoint-call-response.js');
  * Endpoint call context. A context instance is associated with every individual
  * application endpoint call and is used by all components throughout the call
  * processing. The context provides the framework's API to the endpoint handlers.
+ *
+ * <p>The context is created once the endpoint is matched and the URI and query
+ * parameters are validated, before the call is authenticated. Up to that point
+ * it is made available to the call interceptors (see
+ * {@link Application#interceptor}). The properties that depend on the later
+ * processing phases are <code>null</code> until those phases are completed:
+ * the <code>actor</code> is set after the authentication, and the
+ * <code>recordsQuery</code>, <code>resourceValidators</code>,
+ * <code>requestEntity</code> and <code>requestAttachments</code> are set before
+ * the handler is called.
  */
 class EndpointCallContext {
 
@@ -14,20 +24,46 @@ class EndpointCallContext {
 	 *
 	 * @param {Application} app The application.
 	 * @param {Runtime} runtime Application runtime.
-	 * @param {?Object} actor Actor making the call, or <code>null</code> if
-	 * unauthenticated.
-	 * @param {?Object} requestEntity Parsed request entity, or <code>null</code>
-	 * if none.
-	 * @param {?Iterator.<HttpEntity>} requestAttachments Additional request
-	 * entities for a multipart request, or <code>null</code> if none.
+	 * @param {string} method HTTP request method.
+	 * @param {external:Url} requestUrl Parsed HTTP request URL.
+	 * @param {Object.<string,string>} requestHeaders HTTP request headers.
+	 * @param {EndpointLookupResult} endpointMatch Endpoint lookup result.
+	 * @param {external:AbortSignal} signal Call cancellation signal.
 	 */
-	constructor(app, runtime, actor, requestEntity, requestAttachments) {
+	constructor(
+		app, runtime, method, requestUrl, requestHeaders, endpointMatch,
+		signal) {
 
 		this._app = app;
 		this._runtime = runtime;
-		this._actor = actor;
-		this._requestEntity = requestEntity;
-		this._requestAttachments = requestAttachments;
+		this._method = method;
+		this._requestUrl = requestUrl;
+		this._requestHeaders = requestHeaders;
+		this._resourceUri = endpointMatch.resourceUri;
+		this._apiVersion = endpointMatch.apiVersion;
+		this._uriParams = endpointMatch.uriParams;
+		this._queryParams = endpointMatch.queryParams;
+
+		// map URI parameters by names if the endpoint URI is a template
+		const uriParamNames = endpointMatch.endpoint.uriParamNames;
+		this._namedUriParams = {};
+		if (uriParamNames)
+			uriParamNames.forEach((paramName, ind) => {
+				this._namedUriParams[paramName] = this._uriParams[ind];
+			});
+
+		// attributes shared by the interceptors and the handler
+		this._attributes = {};
+
+		// call cancellation signal
+		this._signal = signal;
+
+		// set by the call processor in the later phases
+		this._recordsQuery = null;
+		this._resourceValidators = null;
+		this._actor = null;
+		this._requestEntity = null;
+		this._requestAttachments = null;
 	}
 
 
@@ -42,6 +78,140 @@ class EndpointCallContext {
 		return this._runtime;
 	}
 
+	/**
+	 * HTTP request method.
+	 *
+	 * @type {string}
+	 * @readonly
+	 */
+	get method() {
+
+		return this._method;
+	}
+
+	/**
+	 * Parsed HTTP request URL.
+	 *
+	 * @type {external:Url}
+	 * @readonly
+	 */
+	get requestUrl() {
+
+		return this._requestUrl;
+	}
+
+	/**
+	 * HTTP request headers. The header names are all lower-case.
+	 *
+	 * @type {Object.<string,string>}
+	 * @readonly
+	 */
+	get requestHeaders() {
+
+		return this._requestHeaders;
+	}
+
+	/**
+	 * Resource URI (path plus the query string) stripped of the endpoints prefix,
+	 * if any.
+	 *
+	 * @type {string}
+	 * @readonly
+	 */
+	get resourceUri() {
+
+		return this._resourceUri;
+	}
+
+	/**
+	 * API version selected by the call (see {@link Application#endpoint}), or
+	 * <code>null</code> if none.
+	 *
+	 * @type {?string}
+	 * @readonly
+	 */
+	get apiVersion() {
+
+		return this._apiVersion;
+	}
+
+	/**
+	 * URI parameter values extracted from the resource URI. If an optional
+	 * parameter is not present in the URI, its value is <code>undefined</code>.
+	 * Parameters declared in the endpoint definition (see
+	 * {@link EndpointDefinition}) are URI-decoded and converted to the declared
+	 * types. Other parameters are raw strings as they appear in the URI.
+	 *
+	 * @type {Array}
+	 * @readonly
+	 */
+	get uriParams() {
+
+		return this._uriParams;
+	}
+
+	/**
+	 * URI parameter values by parameter names. The names are available only if
+	 * the endpoint URI is specified as a template (see
+	 * {@link Application#endpoint}). Otherwise, the object is empty. If an
+	 * optional parameter is not present in the URI, its value is
+	 * <code>undefined</code>.
+	 *
+	 * @type {Object.<string,*>}
+	 * @readonly
+	 */
+	get namedUriParams() {
+
+		return this._namedUriParams;
+	}
+
+	/**
+	 * Query string parameters. Parameters declared in the endpoint definition
+	 * (see {@link EndpointDefinition}) are converted to the declared types.
+	 * Other parameters are strings, or arrays of strings for repeated
+	 * parameters.
+	 *
+	 * @type {Object.<string,*>}
+	 * @readonly
+	 */
+	get queryParams() {
+
+		return this._queryParams;
+	}
+
+	/**
+	 * Records query parsed from the request URL query string by the handler's
+	 * {@link EndpointHandler#parseQuery} method, or <code>null</code> if the
+	 * handler does not use records queries for the call. The raw query string
+	 * parameters are available via the {@link EndpointCallContext#requestUrl}
+	 * property.
+	 *
+	 * @type {?RecordsQuery}
+	 * @readonly
+	 */
+	get recordsQuery() {
+
+		return this._recordsQuery;
+	}
+
+	/**
+	 * Validators of the target resource, against which the request
+	 * preconditions ("If-Match" or "If-Unmodified-Since" HTTP request headers)
+	 * were successfully evaluated by the framework before calling the handler,
+	 * or <code>null</code> if the request did not include any preconditions.
+	 * The object is the one returned by the handler's
+	 * {@link EndpointHandler#getResourceValidators} method. The handler can use
+	 * it to make sure that the resource is not modified between the
+	 * preconditions evaluation and the call handling.
+	 *
+	 * @type {?ResourceValidators}
+	 * @readonly
+	 */
+	get resourceValidators() {
+
+		return this._resourceValidators;
+	}
+
 	/**
 	 * Actor associated with the call, or <code>null</code> if unauthenticated.
 	 *
@@ -76,7 +246,9 @@ class EndpointCallContext {
 
 	/**
 	 * Iterator for additional entities in the multipart request, or
-	 * <code>null</code> if none.
+	 * <code>null</code> if none. The entity data are buffers with the raw part
+	 * bodies, and the headers are the part headers, such as "Content-Type" and
+	 * "Content-Disposition".
 	 *
 	 * @type {?Iterator.<HttpEntity>}
 	 * @readonly
@@ -86,6 +258,42 @@ class EndpointCallContext {
 		return this._requestAttachments;
 	}
 
+	/**
+	 * Object for arbitrary call attributes. The call interceptors can use it to
+	 * pass information, such as the resolved tenant, to the subsequent
+	 * interceptors and to the handler.
+	 *
+	 * @type {Object.<string,*>}
+	 * @readonly
+	 */
+	get attributes() {
+
+		return this._attributes;
+	}
+
+	/**
+	 * Call cancellation signal. The signal is aborted when the framework gives
+	 * up on the call, because the handler has not completed it in time (see
+	 * <code>X2_HANDLER_TIMEOUT</code> in {@link Application}), the connection
+	 * has timed out, or the client has disconnected. A long-running handler can
+	 * pass the signal to the operations that support it, or check it, to stop
+	 * the work, whose result would not be sent to the client anyway. The
+	 * signal's <code>reason</code> is an <code>Error</code> with
+	 * <code>code</code> property "timeout" or "disconnected". On Node.js
+	 * versions without the global <code>AbortController</code> the signal is a
+	 * compatible object that supports <code>aborted</code>,
+	 * <code>reason</code>, <code>onabort</code>,
+	 * <code>throwIfAborted()</code> and the "abort" event listeners, but cannot
+	 * be passed to the Node.js API functions.
+	 *
+	 * @type {external:AbortSignal}
+	 * @readonly
+	 */
+	get signal() {
+
+		return this._signal;
+	}
+
 	/**
 	 * Create and return a new endpoint call response. This method can be used by
 	 * the endpoint handlers to create elaborate responses.
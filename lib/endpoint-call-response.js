@@ -2,6 +2,7 @@
 
 const stream = require('stream');
 const util = require('./util.js');
+const CachePolicy = require('./cache-policy.js');
 
 /**
  * Application API call response. This object is normally returned by an endpoint
@@ -58,6 +59,25 @@ class EndpointCallResponse {
 		return this;
 	}
 
+	/**
+	 * Set cacheability policy for the response overriding the one specified by
+	 * the endpoint or resource definition. Replaces any existing "Cache-Control",
+	 * "Expires" and "Pragma" headers in the response.
+	 *
+	 * @param {string} cacheability The cacheability value (see
+	 * {@link CachePolicy}).
+	 * @param {number} [maxAge] Time in seconds, for which the response is
+	 * considered fresh, for "private" and "public" cacheability.
+	 * @returns This object for chaining.
+	 * @throws {Error} If the cacheability or the max age are invalid.
+	 */
+	cacheability(cacheability, maxAge) {
+
+		(new CachePolicy(cacheability, maxAge)).apply(this);
+
+		return this;
+	}
+
 	/**
 	 * Add entity to the response. The entity is sent in the HTTP response
 	 * payload.
@@ -66,17 +86,32 @@ class EndpointCallResponse {
 	 * multipart HTTP response (content type "multipart/mixed"). The parts are
 	 * included in the response body in the same order as they were added.
 	 *
-	 * <p>The entity data can be provided in three forms: an object, a Node.js
-	 * <code>Buffer</code> or a Node.js <code>Stream</code>. If an object is
+	 * <p>The entity data can be provided in four forms: an object, a Node.js
+	 * <code>Buffer</code>, a Node.js <code>Stream</code> or a
+	 * {@link SeekableStreamSource}. If an object is
 	 * provided, it is serialized using a service registered under
 	 * "marshaller:content-type" name, where "content-type" is the value given
 	 * as the <code>contentType</code> argument (see {@link Marshaller}). When
-	 * the <code>contentType</code> argument is omitted, it defaults to
+	 * the <code>contentType</code> argument is omitted for an object, the
+	 * content type is negotiated by the framework: the content type of the
+	 * registered marshaller that best matches the "Accept" request header is
+	 * used. If none is acceptable, a 406 (Not Acceptable) response is sent
+	 * instead, unless the response is an error response, in which case
+	 * "application/json" is used regardless of the "Accept" header. For other
+	 * forms of data, the <code>contentType</code> argument defaults to
 	 * "application/json". If the data is provided as a <code>Stream</code>, the
 	 * response is sent asynchronously using HTTP "chunked" transfer encoding.
+	 * If the response cannot be sent completely, for example because the client
+	 * disconnects or another stream in the response fails, the framework
+	 * destroys the stream, so that any underlying resource, such as an open
+	 * file, is released. A seekable stream source is streamed the same way, but
+	 * if it is the only entity in the response, or if the data is a
+	 * <code>Buffer</code>, the framework can also serve byte ranges of the
+	 * entity to the clients that request them (see HTTP "Range" request
+	 * header).
 	 *
-	 * @param {(Object|external:Buffer|external:"stream.Readable")} data The
-	 * entity data.
+	 * @param {(Object|external:Buffer|external:"stream.Readable"|SeekableStreamSource)} data
+	 * The entity data.
 	 * @param {string} [contentType=application/json] Content type.
 	 * @param {string} [filename] Optional filename associated with the entity.
 	 * @returns This object for chaining.
@@ -94,12 +129,22 @@ class EndpointCallResponse {
 				(this._entities.length > 0 ? 'attachment' : 'inline')
 			+ '; filename="' + filename + '"';
 
-		this._entities.push({
+		const entity = {
 			data: data,
 			headers: headers
-		});
+		};
+		this._entities.push(entity);
+
+		// content type of an object without explicit type is negotiated
+		const streamSource = util.isSeekableStreamSource(data);
+		if (!contentType && !(data instanceof Buffer)
+			&& !(data instanceof stream.Readable) && !streamSource) {
+			if (!this._negotiableEntities)
+				this._negotiableEntities = [];
+			this._negotiableEntities.push(entity);
+		}
 
-		if (data instanceof stream.Readable)
+		if ((data instanceof stream.Readable) || streamSource)
 			this._hasStreams = true;
 
 		return this;
@@ -118,9 +163,10 @@ class EndpointCallResponse {
 	}
 
 	/**
-	 * Tells if the response contains any entities that are streams and therefore
-	 * the HTTP response needs to be sent asynchronously using "chunked" transfer
-	 * encoding.
+	 * Tells if the response contains any entities that are streams or seekable
+	 * stream sources and therefore the HTTP response needs to be sent
+	 * asynchronously. Unless the size of all the streams is known in advance,
+	 * "chunked" transfer encoding is used.
 	 *
 	 * @type {boolean}
 	 * @readonly
@@ -141,6 +187,20 @@ class EndpointCallResponse {
 		return this._headers.has(name.toLowerCase());
 	}
 
+	/**
+	 * Get value of the specified header.
+	 *
+	 * @param {string} name HTTP response header name, case-insensitive.
+	 * @returns {string} The header value, or <code>undefined</code> if the
+	 * response does not include the header.
+	 */
+	getHeader(name) {
+
+		const header = this._headers.get(name.toLowerCase());
+
+		return (header ? header.value() : undefined);
+	}
+
 	/**
 	 * The response HTTP headers.
 	 *
@@ -166,7 +226,7 @@ class EndpointCallResponse {
 	 */
 	get entities() {
 
-		return Array.from(this._entities);
+		return (this._entities && Array.from(this._entities));
 	}
 }
 
@@ -0,0 +1,173 @@
+"use strict";
+
+/**
+ * Pattern for valid HTTP method names in the method handler definitions.
+ *
+ * @private
+ * @type {external:RegExp}
+ */
+const METHOD_NAME = /^[A-Z]+$/;
+
+/**
+ * Endpoint handler generated by the framework for an endpoint defined with
+ * per-method handler definitions (see {@link EndpointDefinition}). The handler
+ * dispatches the calls to the handler functions of the corresponding HTTP
+ * methods.
+ *
+ * <p>The allowed methods are the methods included in the endpoint definition,
+ * so the framework automatically responds with 405 to calls using any other
+ * method. "HEAD" calls are handled by the "GET" method definition.
+ *
+ * <p>A method that is not public only allows authenticated calls, unless the
+ * method definition provides a custom permission check. The resource is
+ * considered public if any of its methods is public.
+ *
+ * @implements {EndpointHandler}
+ */
+class MethodsEndpointHandler {
+
+	/**
+	 * Create new handler. The constructor is used internally by the framework.
+	 *
+	 * @param {string} desc Endpoint description used in the error messages.
+	 * @param {EndpointDefinition} def Endpoint definition.
+	 * @throws {Error} If the method handler definitions are invalid.
+	 */
+	constructor(desc, def) {
+
+		// check the definition
+		if (typeof def.methods !== 'object' || (def.methods === null))
+			throw new Error(
+				'Invalid definition of ' + desc + ': methods is not an object.');
+		const methodNames = Object.keys(def.methods);
+		if (methodNames.length === 0)
+			throw new Error(
+				'Invalid definition of ' + desc + ': no methods defined.');
+
+		// create method descriptors
+		this._methods = new Map();
+		methodNames.forEach(methodName => {
+
+			// helper function for the definition errors
+			function invalid(msg) {
+				return new Error(
+					'Invalid definition of ' + desc + ' method "' + methodName
+						+ '": ' + msg);
+			}
+
+			// check the method name
+			if (!METHOD_NAME.test(methodName))
+				throw invalid('method name must be all upper-case.');
+			if ((methodName === 'HEAD') || (methodName === 'OPTIONS'))
+				throw invalid('the method is handled automatically.');
+
+			// get the definition, which can be just a handler function
+			let methodDef = def.methods[methodName];
+			if (typeof methodDef === 'function')
+				methodDef = { handleCall: methodDef };
+			else if (typeof methodDef !== 'object' || (methodDef === null))
+				throw invalid('definition is not an object nor a function.');
+
+			// check the definition attributes
+			if (typeof methodDef.handleCall !== 'function')
+				throw invalid('handleCall is not a function.');
+			if ((methodDef.isAllowed !== undefined)
+				&& typeof methodDef.isAllowed !== 'function')
+				throw invalid('isAllowed is not a function.');
+			const validators = methodDef.requestEntityValidator;
+			if ((validators !== undefined) && (validators !== null)
+				&& !(Array.isArray(validators) ?
+					validators.every(v => (typeof v === 'function')) :
+					typeof validators === 'function'))
+				throw invalid(
+					'requestEntityValidator must be a function or an array of'
+						+ ' functions.');
+			if ((methodDef.exposedResponseHeaders !== undefined)
+				&& !Array.isArray(methodDef.exposedResponseHeaders))
+				throw invalid('exposedResponseHeaders is not an array.');
+
+			// create the method descriptor
+			this._methods.set(methodName, {
+				handleCall: methodDef.handleCall,
+				public: (
+					methodDef.public !== undefined ?
+						!!methodDef.public : !!def.public),
+				isAllowed: methodDef.isAllowed,
+				requestEntityValidator: (validators || null)
+			});
+		});
+
+		// allowed methods
+		this._allowedMethods = new Set(this._methods.keys());
+
+		// public if any method is public
+		this._public = Array.from(this._methods.values()).some(
+			method => method.public);
+
+		// all exposed response headers
+		const exposedResponseHeaders = new Set();
+		methodNames.forEach(methodName => {
+			(def.methods[methodName].exposedResponseHeaders || []).forEach(
+				h => { exposedResponseHeaders.add(h); });
+		});
+		this._exposedResponseHeaders = Array.from(exposedResponseHeaders);
+	}
+
+
+	/**
+	 * Union of the headers listed in all method definitions.
+	 */
+	get exposedResponseHeaders() {
+
+		return this._exposedResponseHeaders;
+	}
+
+	getAllowedMethods(resourceUri, uriParams) {
+
+		return this._allowedMethods;
+	}
+
+	isPublic(resourceUri, uriParams) {
+
+		return this._public;
+	}
+
+	/**
+	 * Uses the method's permission check, if defined. Otherwise, allows any
+	 * call to a public method and only authenticated calls to a non-public
+	 * method.
+	 */
+	isAllowed(method, resourceUri, uriParams, actor) {
+
+		const methodDesc = this._getMethod(method);
+
+		if (methodDesc.isAllowed)
+			return methodDesc.isAllowed(resourceUri, uriParams, actor);
+
+		return (methodDesc.public || (actor !== null));
+	}
+
+	getRequestEntityValidator(method, resourceUri, uriParams) {
+
+		return this._getMethod(method).requestEntityValidator;
+	}
+
+	handleCall(ctx) {
+
+		return this._getMethod(ctx.method).handleCall(ctx);
+	}
+
+	/**
+	 * Get descriptor of an allowed method.
+	 *
+	 * @private
+	 * @param {string} method HTTP method. "HEAD" is mapped to "GET".
+	 * @returns {Object} The method descriptor.
+	 */
+	_getMethod(method) {
+
+		return this._methods.get(method === 'HEAD' ? 'GET' : method);
+	}
+}
+
+module.exports = MethodsEndpointHandler;
@@ -0,0 +1,505 @@
+"use strict";
+
+const url = require('url');
+const crypto = require('crypto');
+
+const RecordValidator = require('../record-validator.js');
+const RecordsQuery = require('../records-query.js');
+const RecordShaper = require('../record-shaper.js');
+
+/**
+ * Endpoint handler generated by the framework for an endpoint bound to an
+ * application resource (see {@link EndpointDefinition}). The handler exposes
+ * standard CRUD operations on the resource records.
+ *
+ * <p>The last URI parameter in the endpoint URI pattern is the record id. If the
+ * parameter is absent from the request URI (the pattern may have it optional),
+ * or the pattern does not have any URI parameters at all, the request is for
+ * the resource records collection. The following calls are supported:
+ *
+ * <dl>
+ * <dt>GET collection<dd>Responds with 200 and an array of resource records
+ * matching the query specified in the request URL query string (see
+ * {@link RecordsQuery}).
+ * <dt>POST collection<dd>Creates new record from the request entity and responds
+ * with 201 and the new record. The response includes "Location" header with the
+ * new record URI.
+ * <dt>GET record<dd>Responds with 200 and the record, or 404 if the record does
+ * not exist.
+ * </dl>
+ *
+ * <p>The returned records can be shaped using the properties projection and the
+ * references expansion parameters in the query string (see
+ * {@link RecordsQuery}). The following calls modify the records:
+ *
+ * <dl>
+ * <dt>PATCH record<dd>Updates the record properties included in the request
+ * entity and responds with 200 and the updated record, or 404 if the record
+ * does not exist. A <code>null</code> value in the request entity removes the
+ * property from the record.
+ * <dt>DELETE record<dd>Deletes the record and responds with 204, or 404 if the
+ * record does not exist.
+ * </dl>
+ *
+ * <p>If the resource defines record version and/or last modification timestamp
+ * properties, responses that include a single record include "ETag" and
+ * "Last-Modified" headers. Calls that modify a record can include "If-Match"
+ * and "If-Unmodified-Since" preconditions, which are checked against the
+ * record's current version and timestamp. If a precondition fails, or the
+ * record is modified by a concurrent call while this call is being processed,
+ * the handler responds with 412.
+ *
+ * <p>The validators are also used for conditional "GET" calls that include
+ * "If-None-Match" and "If-Modified-Since" preconditions, in which case the
+ * handler responds with 304 if the record has not been modified. For the
+ * records collection, a weak "ETag" is calculated from the ids and versions (or
+ * last modification timestamps) of the returned records. Responses with
+ * expanded references (see {@link RecordsQuery#expand}) do not include any
+ * validators, since the referred records may change independently.
+ *
+ * <p>The handler uses the {@link Persistence} service to access the resource
+ * records.
+ *
+ * @implements {EndpointHandler}
+ */
+class ResourceEndpointHandler {
+
+	/**
+	 * Create new handler. The constructor is used internally by the framework.
+	 *
+	 * @param {Resource} resource The resource.
+	 * @param {EndpointDefinition} def Endpoint definition.
+	 */
+	constructor(resource, def) {
+
+		this._resource = resource;
+		this._public = !!def.public;
+
+		this._validator = new RecordValidator(resource);
+		this._validateNew = this._validator.validateNew.bind(this._validator);
+		this._validatePatch =
+			this._validator.validatePatch.bind(this._validator);
+
+		this._collectionMethods = new Set([ 'GET', 'POST' ]);
+		this._recordMethods = new Set([ 'GET', 'PATCH', 'DELETE' ]);
+	}
+
+
+	/**
+	 * Resource, to which the handler is bound.
+	 *
+	 * @type {Resource}
+	 * @readonly
+	 */
+	get resource() {
+
+		return this._resource;
+	}
+
+	/**
+	 * "ETag" and "Location".
+	 */
+	get exposedResponseHeaders() {
+
+		return [ 'ETag', 'Location' ];
+	}
+
+	getAllowedMethods(resourceUri, uriParams) {
+
+		return (
+			this._isRecordUri(uriParams) ?
+				this._recordMethods : this._collectionMethods);
+	}
+
+	isPublic(resourceUri, uriParams) {
+
+		return this._public;
+	}
+
+	/**
+	 * Allows any call to a public endpoint and only authenticated calls to a
+	 * non-public endpoint.
+	 */
+	isAllowed(method, resourceUri, uriParams, actor) {
+
+		return (this._public || (actor !== null));
+	}
+
+	/**
+	 * Parses records query for the "GET" and "HEAD" calls. For the calls to a
+	 * single record, only the properties projection and the references
+	 * expansion are allowed in the query.
+	 */
+	parseQuery(method, resourceUri, uriParams, queryParams) {
+
+		if ((method !== 'GET') && (method !== 'HEAD'))
+			return null;
+
+		return RecordsQuery.parse(
+			this._resource, queryParams, this._isRecordUri(uriParams));
+	}
+
+	/**
+	 * For a record, returns validators based on the record's version and last
+	 * modification timestamp. The validators include the version as
+	 * <code>version</code> property. For the records collection, or a "GET"
+	 * call with expanded references, returns an empty validators object.
+	 */
+	getResourceValidators(method, resourceUri, uriParams, runtime) {
+
+		// collection?
+		if (!this._isRecordUri(uriParams))
+			return {};
+
+		// expanded references?
+		if (((method === 'GET') || (method === 'HEAD'))
+			&& url.parse(resourceUri, true).query['$expand'])
+			return {};
+
+		// check if the resource supports any validators
+		const resource = this._resource;
+		if (!resource.versionPropertyName
+			&& !resource.lastModifiedPropertyName
+			&& !resource.preconditionRequired)
+			return {};
+
+		// fetch the record and get its validators
+		const recordId = this._getRecordId(uriParams);
+		if (recordId === null)
+			return null;
+		return runtime.service('persistence').fetch(resource, recordId).then(
+			record => (record && this._getRecordValidators(record)));
+	}
+
+	getRequestEntityValidator(method, resourceUri, uriParams) {
+
+		switch (method) {
+		case 'POST':
+			return this._validateNew;
+		case 'PATCH':
+			return this._validatePatch;
+		default:
+			return null;
+		}
+	}
+
+	handleCall(ctx) {
+
+		// collection call?
+		if (!this._isRecordUri(ctx.uriParams)) {
+			if (ctx.method === 'POST')
+				return this._createRecord(ctx);
+			return this._getRecords(ctx);
+		}
+
+		// get the record id
+		const recordId = this._getRecordId(ctx.uriParams);
+		if (recordId === null)
+			return this._recordNotFound(ctx);
+
+		// record call
+		switch (ctx.method) {
+		case 'PATCH':
+			return this._updateRecord(ctx, recordId);
+		case 'DELETE':
+			return this._deleteRecord(ctx, recordId);
+		default:
+			return this._getRecord(ctx, recordId);
+		}
+	}
+
+
+	/**
+	 * Get resource records matching the call's records query.
+	 *
+	 * @private
+	 * @param {EndpointCallContext} ctx Endpoint call context.
+	 * @returns {Promise.<EndpointCallResponse>} The response with the records.
+	 */
+	_getRecords(ctx) {
+
+		const persistence = ctx.runtime.service('persistence');
+
+		return persistence.query(this._resource, ctx.recordsQuery).then(
+			records => {
+				const etag = this._getCollectionEntityTag(ctx, records);
+				return this._shapeRecords(ctx, persistence, records).then(
+					records => ctx.response(200)
+						.header('ETag', etag)
+						.entity(records));
+			});
+	}
+
+	/**
+	 * Create new record.
+	 *
+	 * @private
+	 * @param {EndpointCallContext} ctx Endpoint call context.
+	 * @returns {Promise.<EndpointCallResponse>} The response.
+	 */
+	_createRecord(ctx) {
+
+		return ctx.runtime.service('persistence').insert(
+			this._resource, ctx.requestEntity
+		).then(record => this._recordResponse(ctx, 201, record, record)
+			.header(
+				'Location',
+				ctx.requestUrl.pathname.replace(/\/+$/, '') + '/'
+					+ encodeURIComponent(
+						String(record[this._resource.idPropertyName])))
+		);
+	}
+
+	/**
+	 * Get single record.
+	 *
+	 * @private
+	 * @param {EndpointCallContext} ctx Endpoint call context.
+	 * @param {(string|number)} recordId Record id.
+	 * @returns {Promise.<EndpointCallResponse>} The record response, or 404
+	 * response.
+	 */
+	_getRecord(ctx, recordId) {
+
+		const persistence = ctx.runtime.service('persistence');
+
+		return persistence.fetch(this._resource, recordId).then(record => (
+			record ?
+				this._shapeRecords(ctx, persistence, [ record ]).then(
+					records => this._recordResponse(
+						ctx, 200, record, records[0])) :
+				this._recordNotFound(ctx)
+		));
+	}
+
+	/**
+	 * Update record.
+	 *
+	 * @private
+	 * @param {EndpointCallContext} ctx Endpoint call context.
+	 * @param {(string|number)} recordId Record id.
+	 * @returns {Promise.<EndpointCallResponse>} The updated record response,
+	 * 404 or 412 response.
+	 */
+	_updateRecord(ctx, recordId) {
+
+		return ctx.runtime.service('persistence').update(
+			this._resource, recordId, ctx.requestEntity,
+			this._getExpectedVersion(ctx)
+		).then(
+			record => (
+				record ?
+					this._recordResponse(ctx, 200, record, record) :
+					this._recordNotFound(ctx)
+			),
+			err => this._versionConflict(ctx, err)
+		);
+	}
+
+	/**
+	 * Delete record.
+	 *
+	 * @private
+	 * @param {EndpointCallContext} ctx Endpoint call context.
+	 * @param {(string|number)} recordId Record id.
+	 * @returns {Promise.<?EndpointCallResponse>} <code>null</code> for 204, 404
+	 * or 412 response.
+	 */
+	_deleteRecord(ctx, recordId) {
+
+		return ctx.runtime.service('persistence').delete(
+			this._resource, recordId, this._getExpectedVersion(ctx)
+		).then(
+			deleted => (deleted ? null : this._recordNotFound(ctx)),
+			err => this._versionConflict(ctx, err)
+		);
+	}
+
+
+	/**
+	 * Apply properties projection and references expansion requested in the
+	 * call's records query to the records.
+	 *
+	 * @private
+	 * @param {EndpointCallContext} ctx Endpoint call context.
+	 * @param {Persistence} persistence The persistence service.
+	 * @param {Object[]} records The records.
+	 * @returns {Promise.<Object[]>} The shaped records.
+	 */
+	_shapeRecords(ctx, persistence, records) {
+
+		const shaper = new RecordShaper(
+			this._resource, ctx.recordsQuery, persistence);
+
+		return (shaper.active ? shaper.shape(records) : Promise.resolve(records));
+	}
+
+	/**
+	 * Tell if the URI parameters address a single record.
+	 *
+	 * @private
+	 * @param {string[]} uriParams URI parameters.
+	 * @returns {boolean} <code>true</code> if record URI.
+	 */
+	_isRecordUri(uriParams) {
+
+		return ((uriParams.length > 0)
+			&& (uriParams[uriParams.length - 1] !== undefined));
+	}
+
+	/**
+	 * Get record id from the URI parameters. The record id URI parameter is
+	 * decoded and converted to the type of the resource id property by the
+	 * framework before the handler is invoked.
+	 *
+	 * @private
+	 * @param {Array} uriParams URI parameters.
+	 * @returns {?(string|number)} The record id, or <code>null</code> if the id
+	 * in the URI is not a valid id for the resource.
+	 */
+	_getRecordId(uriParams) {
+
+		const id = uriParams[uriParams.length - 1];
+
+		return (typeof id === 'string' || typeof id === 'number' ? id : null);
+	}
+
+	/**
+	 * Get validators for the record.
+	 *
+	 * @private
+	 * @param {Object} record The record.
+	 * @returns {ResourceValidators} The validators.
+	 */
+	_getRecordValidators(record) {
+
+		const resource = this._resource;
+		const validators = {
+			preconditionRequired: resource.preconditionRequired
+		};
+
+		if (resource.versionPropertyName) {
+			validators.version = record[resource.versionPropertyName];
+			validators.etag = '"' + validators.version + '"';
+		}
+
+		if (resource.lastModifiedPropertyName)
+			validators.lastModified = record[resource.lastModifiedPropertyName];
+
+		return validators;
+	}
+
+	/**
+	 * Calculate weak entity tag for a records collection response.
+	 *
+	 * @private
+	 * @param {EndpointCallContext} ctx Endpoint call context.
+	 * @param {Object[]} records The records included in the response.
+	 * @returns {string} The entity tag, or <code>undefined</code> if the
+	 * resource records do not have versions nor modification timestamps, or the
+	 * response includes expanded references.
+	 */
+	_getCollectionEntityTag(ctx, records) {
+
+		const resource = this._resource;
+		const stateProp = (
+			resource.versionPropertyName || resource.lastModifiedPropertyName);
+		if (!stateProp || this._isExpanded(ctx))
+			return undefined;
+
+		const hash = crypto.createHash('sha1');
+		records.forEach(record => {
+			const state = record[stateProp];
+			hash.update(
+				String(record[resource.idPropertyName]) + ':'
+					+ (state instanceof Date ? state.getTime() : state) + ';');
+		});
+
+		return 'W/"' + hash.digest('base64') + '"';
+	}
+
+	/**
+	 * Tell if the call's response includes expanded references.
+	 *
+	 * @private
+	 * @param {EndpointCallContext} ctx Endpoint call context.
+	 * @returns {boolean} <code>true</code> if expanded.
+	 */
+	_isExpanded(ctx) {
+
+		return ((ctx.recordsQuery !== null) && (ctx.recordsQuery !== undefined)
+			&& (ctx.recordsQuery.expand.length > 0));
+	}
+
+	/**
+	 * Get record version expected by the call.
+	 *
+	 * @private
+	 * @param {EndpointCallContext} ctx Endpoint call context.
+	 * @returns {number} The record version, against which the call's
+	 * preconditions were evaluated, or <code>undefined</code> if none.
+	 */
+	_getExpectedVersion(ctx) {
+
+		return (ctx.resourceValidators ?
+			ctx.resourceValidators.version : undefined);
+	}
+
+	/**
+	 * Create response for a single record.
+	 *
+	 * @private
+	 * @param {EndpointCallContext} ctx Endpoint call context.
+	 * @param {number} statusCode Response status code.
+	 * @param {Object} record The complete record used for the validators.
+	 * @param {Object} entity The response entity.
+	 * @returns {EndpointCallResponse} The response.
+	 */
+	_recordResponse(ctx, statusCode, record, entity) {
+
+		const validators = (
+			this._isExpanded(ctx) ? {} : this._getRecordValidators(record));
+
+		return ctx.response(statusCode)
+			.header('ETag', validators.etag)
+			.header('Last-Modified', validators.lastModified)
+			.entity(entity);
+	}
+
+	/**
+	 * Create 412 response for a record version conflict.
+	 *
+	 * @private
+	 * @param {EndpointCallContext} ctx Endpoint call context.
+	 * @param {external:Error} err Error from the persistence service.
+	 * @returns {EndpointCallResponse} The response.
+	 * @throws {external:Error} The original error if not a version conflict.
+	 */
+	_versionConflict(ctx, err) {
+
+		if (err.code !== 'version_conflict')
+			throw err;
+
+		return ctx.response(412).entity({
+			errorCode: 'X2-412',
+			errorMessage: 'Precondition failed.'
+		});
+	}
+
+	/**
+	 * Create 404 response for a missing record.
+	 *
+	 * @private
+	 * @param {EndpointCallContext} ctx Endpoint call context.
+	 * @returns {EndpointCallResponse} The response.
+	 */
+	_recordNotFound(ctx) {
+
+		return ctx.response(404).entity({
+			errorCode: 'X2-404-2',
+			errorMessage: 'Record not found.'
+		});
+	}
+}
+
+module.exports = ResourceEndpointHandler;
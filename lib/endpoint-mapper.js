@@ -5,15 +5,73 @@
  *
  * @private
  * @typedef {Object} EndpointLookupResult
+ * @property {Endpoint} endpoint The matched endpoint.
  * @property {EndpointHandler} handler Endpoint handler.
  * @property {string} resourceUri Resource URI, which is the path section of the
- * request URL (sans the endpoint prefix, if any) plus the query string (if any).
- * @property {string[]} uriParams Extracted URI parameters. If optional parameter
+ * request URL (sans the endpoint prefix and the API version path segment, if
+ * any) plus the query string (if any).
+ * @property {Array} uriParams Extracted URI parameters. If optional parameter
  * is not present in the URI, <code>undefined</code> is returned in its place.
+ * The parameters are raw strings as extracted from the URI until converted by
+ * the endpoint call processor according to the endpoint definition.
+ * @property {Object.<string,*>} queryParams Query string parameters. Raw until
+ * converted by the endpoint call processor according to the endpoint
+ * definition.
+ * @property {CachePolicy} cachePolicy Endpoint cacheability policy.
+ * @property {?string} apiVersion The selected API version, or
+ * <code>null</code> if none.
+ * @property {string[]} varyHeaders Names of the request headers, on which the
+ * API version selection depends. The response varies on these headers.
  */
 
 /**
- * Endpoint mapper.
+ * Endpoint mapper. The mapper finds the endpoint that matches the request URI.
+ *
+ * <p>Endpoints with URI templates are organized in a trie of path segments, so
+ * that the lookup cost depends on the number of segments in the request URI
+ * rather than the number of endpoints. At each trie node, the matching
+ * precedence is:
+ *
+ * <ol>
+ * <li>Literal segment.
+ * <li>Segments with parameters, in the order the endpoints were added to the
+ * application.
+ * </ol>
+ *
+ * <p>If a more preferred branch does not lead to a complete match, the next one
+ * is tried. A parameter always matches within a single path segment.
+ *
+ * <p>Endpoints with URI specified as a regular expression pattern are tried in
+ * the order they were added to the application, and only if none of the
+ * template endpoints matches.
+ *
+ * <p>If an endpoint could never be matched because of the endpoints that take
+ * precedence over it, the mapper reports an error when it is created. That
+ * includes equivalent URI templates, a template whose parameter pattern follows
+ * a catch-all parameter (such as the default "[^/]+") at the same position in
+ * an earlier template, and a regular expression endpoint that matches nothing
+ * beyond what a template or an earlier regular expression already matches.
+ * Regular expression patterns are analyzed only if they consist of literal path
+ * segments and segments that are single capturing groups limited to a segment,
+ * such as "/items/(\d+)". Other patterns are not checked.
+ *
+ * <p>Endpoints registered under API versions are kept in separate indexes, one
+ * per version. The API version of a request is selected by the first of the
+ * following that is present:
+ *
+ * <ol>
+ * <li>Version name as the first path segment after the endpoints prefix (the
+ * segment is stripped from the resource URI).
+ * <li>Version name in the API version request header.
+ * <li>Vendor media type "application/vnd.<em>vendor</em>.<em>version</em>"
+ * (with optional structured syntax suffix such as "+json") in the "Accept"
+ * request header, if the API vendor is configured.
+ * <li>The configured default API version.
+ * </ol>
+ *
+ * <p>Endpoints of the selected version are tried first and, if none matches,
+ * the endpoints that are not version-specific are tried. If the request selects
+ * an unknown API version explicitly, nothing matches.
  *
  * @private
  */
@@ -25,28 +83,49 @@ class EndpointMapper {
 	 * @param {Endpoint[]} endpoints The endpoints.
 	 * @param {ConfigFunction} configFn Application configuration access
 	 * function.
+	 * @throws {Error} If endpoint URIs overlap.
 	 */
 	constructor(endpoints, configFn) {
 
-		this._endpointsIndex = new Array();
+		this._endpointsPrefix = (configFn('X2_ENDPOINTS_PREFIX') || '');
 
-		let pattern = "^";
-		this._endpointsPrefix = configFn("X2_ENDPOINTS_PREFIX");
-		if (this._endpointsPrefix)
-			pattern += this._endpointsPrefix;
+		// API version selection parameters
+		this._defaultApiVersion = (configFn('X2_API_DEFAULT_VERSION') || null);
+		this._apiVersionHeader = (
+			configFn('X2_API_VERSION_HEADER') || 'X-API-Version'
+		).toLowerCase();
+		const apiVendor = configFn('X2_API_VENDOR');
+		this._apiVersionMediaType = (
+			apiVendor ?
+				new RegExp(
+					'^application/vnd\\.'
+						+ apiVendor.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&')
+						+ '\\.([\\w.-]+)(?:\\+[\\w.-]+)?$', 'i') :
+				null
+		);
 
-		pattern += "(?:";
-		let patternIndex = 0;
+		// build endpoint indexes
+		this._commonIndex = newEndpointIndex();
+		this._versionIndexes = new Map();
 		endpoints.forEach(endpoint => {
-			if (patternIndex > 0)
-				pattern += "|";
-			pattern += "(" + endpoint.uriPattern + ")";
-			this._endpointsIndex[patternIndex] = endpoint;
-			patternIndex += endpoint.numUriParams + 1;
+			if (!endpoint.apiVersions)
+				return addEndpoint(this._commonIndex, endpoint, null);
+			endpoint.apiVersions.forEach(apiVersion => {
+				let index = this._versionIndexes.get(apiVersion);
+				if (!index)
+					this._versionIndexes.set(
+						apiVersion, index = newEndpointIndex());
+				addEndpoint(index, endpoint, apiVersion);
+			});
 		});
-		pattern += ")$";
 
-		this._masterEndpointsURIPattern = new RegExp(pattern);
+		// headers, on which API version selection depends
+		this._varyHeaders = new Array();
+		if (this._versionIndexes.size > 0) {
+			this._varyHeaders.push(this._apiVersionHeader);
+			if (this._apiVersionMediaType)
+				this._varyHeaders.push('accept');
+		}
 	}
 
 
@@ -54,34 +133,505 @@ class EndpointMapper {
 	 * Lookup endpoint matching the specified request URL.
 	 *
 	 * @param {external:Url} requestUrl Parsed request URL.
+	 * @param {Object.<string,string>} requestHeaders The request headers.
 	 * @returns {?EndpointLookupResult} Lookup result, or <code>null</code> if
 	 * nothing matched.
 	 */
-	lookup(requestUrl) {
+	lookup(requestUrl, requestHeaders) {
 
-		// match the endpoint
-		const match = this._masterEndpointsURIPattern.exec(requestUrl.pathname);
-		if (!match)
+		// strip the endpoints prefix
+		let prefix = this._endpointsPrefix;
+		if (!requestUrl.pathname.startsWith(prefix))
 			return null;
+		let path = requestUrl.pathname.substring(prefix.length);
 
-		// find matched endpoint in the index
-		const endpointInd = this._endpointsIndex.findIndex(
-			(endpoint, i) => match[i + 1]);
-		const endpoint = this._endpointsIndex[endpointInd];
-		const uriParams = match.slice(
-			endpointInd + 2, endpointInd + 2 + endpoint.numUriParams);
+		// select the API version
+		let apiVersion = null, varyHeaders = this._varyHeaders;
+		if (this._versionIndexes.size > 0) {
+			const slashInd = path.indexOf('/', 1);
+			const firstSegment =
+				path.substring(1, (slashInd < 0 ? path.length : slashInd));
+			if (this._versionIndexes.has(firstSegment)) {
+				apiVersion = firstSegment;
+				prefix += '/' + apiVersion;
+				path = path.substring(apiVersion.length + 1);
+				varyHeaders = [];
+			} else {
+				apiVersion = this._getRequestedApiVersion(requestHeaders);
+				if (apiVersion && !this._versionIndexes.has(apiVersion))
+					return null;
+			}
+		}
+		if (!apiVersion)
+			apiVersion = this._defaultApiVersion;
+
+		// match the endpoints
+		const versionIndex = (
+			apiVersion ? this._versionIndexes.get(apiVersion) : undefined);
+		const match = (
+			(versionIndex && matchEndpoint(versionIndex, path))
+				|| matchEndpoint(this._commonIndex, path));
+		if (!match)
+			return null;
 
 		// return the lookup result
+		const endpoint = match.endpoint;
 		return {
+			endpoint: endpoint,
 			handler: endpoint.handler,
-			resourceUri: (
-				this._endpointsPrefix ?
-					requestUrl.path.substring(this._endpointsPrefix.length) :
-					requestUrl.path
-			),
+			resourceUri: requestUrl.path.substring(prefix.length),
+			uriParams: match.uriParams,
+			queryParams: requestUrl.query,
+			cachePolicy: endpoint.cachePolicy,
+			apiVersion: apiVersion,
+			varyHeaders: varyHeaders
+		};
+	}
+
+	/**
+	 * Tell if the specified media type is the vendor media type used to select
+	 * the API version in the "Accept" request header.
+	 *
+	 * @param {string} mediaType The media type without parameters.
+	 * @returns {boolean} <code>true</code> if API version media type.
+	 */
+	isApiVersionMediaType(mediaType) {
+
+		return (
+			(this._apiVersionMediaType !== null)
+				&& this._apiVersionMediaType.test(mediaType));
+	}
+
+	/**
+	 * Get API version explicitly requested in the request headers.
+	 *
+	 * @private
+	 * @param {Object.<string,string>} requestHeaders The request headers.
+	 * @returns {?string} The requested API version, or <code>null</code> if
+	 * none.
+	 */
+	_getRequestedApiVersion(requestHeaders) {
+
+		// check the API version header
+		const headerValue = requestHeaders[this._apiVersionHeader];
+		if (headerValue)
+			return headerValue.trim();
+
+		// check the vendor media type in the "Accept" header
+		const accept = requestHeaders['accept'];
+		if (this._apiVersionMediaType && accept) {
+			let match;
+			accept.split(',').find(mediaRange => (
+				match = this._apiVersionMediaType.exec(
+					mediaRange.split(';')[0].trim())));
+			if (match)
+				return match[1];
+		}
+
+		// no explicitly requested version
+		return null;
+	}
+}
+
+/**
+ * Create new empty endpoint index.
+ *
+ * @private
+ * @returns {Object} The index.
+ */
+function newEndpointIndex() {
+
+	return {
+		trie: newTrieNode(),
+		patternEndpoints: new Array()
+	};
+}
+
+/**
+ * Pattern for a URI template parameter pattern, or a regular expression
+ * endpoint segment, that matches any path segment. The quantifier tells if the
+ * segment may be empty.
+ *
+ * @private
+ * @type {external:RegExp}
+ */
+const CATCH_ALL_SEGMENT = /^\((?:\[\^\\?\/\]|\.)([*+])\)$/;
+
+/**
+ * Pattern for a literal path segment in an endpoint regular expression.
+ *
+ * @private
+ * @type {external:RegExp}
+ */
+const REGEX_LITERAL_SEGMENT = /^(?:[\w\-~%!&',;=:@]|\\[^\w\/])*$/;
+
+/**
+ * Pattern for a path segment in an endpoint regular expression that is a
+ * single capturing group, whose content cannot match a slash. The group may
+ * contain literal characters, "\d", "\w", character classes without a slash,
+ * negated character classes with a slash, and quantifiers.
+ *
+ * @private
+ * @type {external:RegExp}
+ */
+const REGEX_GROUP_SEGMENT = new RegExp(
+	'^\\((?:(?:' + [
+		/\\[dw]|\\[^\w\/]|[\w\-~%!&',;=:@]/, // escapes and literals
+		/\[[^\]\\\/^](?:[^\]\\\/]|\\[^\/])*\]/, // class without a slash
+		/\[\^(?:[^\]\\]|\\.)*\\?\/(?:[^\]\\]|\\.)*\]/ // negated, with a slash
+	].map(atom => atom.source).join('|') + ')(?:'
+		+ /[*+?]|\{\d+(?:,\d*)?\}/.source + ')?)+\\)$');
+
+/**
+ * Add endpoint to an index.
+ *
+ * @private
+ * @param {Object} index The index.
+ * @param {Endpoint} endpoint The endpoint.
+ * @param {?string} apiVersion API version of the index, or <code>null</code>
+ * for the index of endpoints that are not version-specific.
+ * @throws {Error} If the endpoint could never be matched because of an
+ * endpoint already in the index, or vice versa.
+ */
+function addEndpoint(index, endpoint, apiVersion) {
+
+	// endpoint URI is a regular expression?
+	if (!endpoint.uriRoutes) {
+		const segments = parseRegexSegments(endpoint.uriPattern);
+		const overlapping = index.patternEndpoints.find(
+			entry => (
+				(entry.endpoint.uriPattern === endpoint.uriPattern)
+					|| (segments && entry.segments
+						&& segmentsCover(entry.segments, segments))));
+		if (overlapping)
+			throw overlapError(overlapping.endpoint, endpoint, apiVersion);
+		const covering = (
+			segments && findCoveringTerminal(
+				index.trie, segments, 0, false, endpoint));
+		if (covering)
+			throw overlapError(covering.endpoint, endpoint, apiVersion);
+		index.patternEndpoints.push({
+			endpoint: endpoint,
+			pattern: new RegExp('^(?:' + endpoint.uriPattern + ')$'),
+			segments: segments
+		});
+		return;
+	}
+
+	// add template routes to the trie
+	endpoint.uriRoutes.forEach(route => {
+
+		// check if the route is shadowed by an earlier template
+		const covering = findCoveringTerminal(
+			index.trie, route.segments, 0, true, endpoint);
+		if (covering)
+			throw overlapError(covering.endpoint, endpoint, apiVersion);
+
+		// check if the route shadows a regular expression endpoint
+		const shadowed = index.patternEndpoints.find(
+			entry => (
+				entry.segments && segmentsCover(route.segments, entry.segments)));
+		if (shadowed)
+			throw overlapError(endpoint, shadowed.endpoint, apiVersion);
+
+		// add the route
+		let node = index.trie;
+		route.segments.forEach(segment => {
+			if (segment.literal !== undefined) {
+				let child = node.literals.get(segment.literal);
+				if (!child)
+					node.literals.set(segment.literal, child = newTrieNode());
+				node = child;
+			} else {
+				let edge = node.patterns.find(
+					edge => (edge.pattern === segment.pattern));
+				if (!edge)
+					node.patterns.push(edge = {
+						pattern: segment.pattern,
+						regex: new RegExp('^(?:' + segment.pattern + ')$'),
+						node: newTrieNode()
+					});
+				node = edge.node;
+			}
+		});
+		if (!node.terminal)
+			node.terminal = {
+				endpoint: endpoint,
+				paramInds: route.paramInds
+			};
+	});
+}
+
+/**
+ * Split endpoint regular expression into path segments in the form of URI
+ * route segments (see {@link UriRouteSegment}), if the expression is simple
+ * enough to be compared with the other endpoints.
+ *
+ * @private
+ * @param {string} pattern The regular expression pattern.
+ * @returns {?UriRouteSegment[]} The segments, or <code>null</code> if the
+ * expression cannot be analyzed.
+ */
+function parseRegexSegments(pattern) {
+
+	// split the pattern at the slashes (possibly escaped, as in the source of a
+	// regular expression object) outside groups and character classes
+	const parts = new Array();
+	let partStart = 0, depth = 0, inClass = false;
+	for (let i = 0; i < pattern.length; i++) {
+		let c = pattern[i];
+		const escaped = (c === '\\');
+		if (escaped)
+			c = pattern[++i];
+		if (inClass) {
+			inClass = (escaped || (c !== ']'));
+		} else if ((c === '/') && (depth === 0)) {
+			parts.push(pattern.substring(partStart, (escaped ? i - 1 : i)));
+			partStart = i + 1;
+		} else if (!escaped) {
+			if (c === '[')
+				inClass = true;
+			else if (c === '(')
+				depth++;
+			else if (c === ')')
+				depth--;
+		}
+	}
+	parts.push(pattern.substring(partStart));
+
+	// convert the parts into segments
+	const segments = new Array();
+	for (let part of parts) {
+		if (REGEX_LITERAL_SEGMENT.test(part))
+			segments.push({ literal: part.replace(/\\(.)/g, '$1') });
+		else if (REGEX_GROUP_SEGMENT.test(part))
+			segments.push({ pattern: part });
+		else
+			return null;
+	}
+
+	return segments;
+}
+
+/**
+ * Tell if a URI route segment matches any value that another segment matches.
+ *
+ * @private
+ * @param {UriRouteSegment} covering The covering segment.
+ * @param {UriRouteSegment} segment The covered segment.
+ * @returns {boolean} <code>true</code> if covers.
+ */
+function segmentCovers(covering, segment) {
+
+	if (covering.literal !== undefined)
+		return (segment.literal === covering.literal);
+
+	if (segment.literal !== undefined)
+		return (new RegExp('^(?:' + covering.pattern + ')$')).test(
+			segment.literal);
+
+	if (segment.pattern === covering.pattern)
+		return true;
+
+	const catchAllMatch = CATCH_ALL_SEGMENT.exec(covering.pattern);
+	return (catchAllMatch !== null) && (
+		(catchAllMatch[1] === '*')
+			|| !(new RegExp('^(?:' + segment.pattern + ')$')).test(''));
+}
+
+/**
+ * Tell if a sequence of URI route segments matches any path that another
+ * sequence matches.
+ *
+ * @private
+ * @param {UriRouteSegment[]} covering The covering segments.
+ * @param {UriRouteSegment[]} segments The covered segments.
+ * @returns {boolean} <code>true</code> if covers.
+ */
+function segmentsCover(covering, segments) {
+
+	return (covering.length === segments.length)
+		&& covering.every((segment, ind) => segmentCovers(segment, segments[ind]));
+}
+
+/**
+ * Find a terminal in the trie that is reached by every path that the specified
+ * segments match, so that the segments, if added to the trie, could never be
+ * matched.
+ *
+ * <p>In the strict mode, the segments are assumed to be added to the trie, so
+ * the matching precedence is taken into account: a literal segment is always
+ * matched before the segments with parameters, and a segment with parameters
+ * is matched only after the catch-all segments added before it. Once the
+ * precedence puts the existing branch ahead, the search continues in the
+ * non-strict mode, in which any branch that covers the segments counts.
+ *
+ * @private
+ * @param {Object} node Current trie node.
+ * @param {UriRouteSegment[]} segments The segments.
+ * @param {number} segInd Index of the segment to match at the node.
+ * @param {boolean} strict <code>true</code> for the strict mode.
+ * @param {Endpoint} endpoint The endpoint, whose own terminals are ignored.
+ * @returns {?Object} The covering terminal, or <code>null</code> if none.
+ */
+function findCoveringTerminal(node, segments, segInd, strict, endpoint) {
+
+	// end of the segments?
+	if (segInd === segments.length)
+		return (
+			node.terminal && (node.terminal.endpoint !== endpoint) ?
+				node.terminal : null);
+
+	// literal segment
+	const segment = segments[segInd];
+	if (segment.literal !== undefined) {
+		const literalChild = node.literals.get(segment.literal);
+		if (literalChild) {
+			const terminal = findCoveringTerminal(
+				literalChild, segments, segInd + 1, strict, endpoint);
+			if (terminal || strict)
+				return terminal;
+		} else if (strict) {
+			return null;
+		}
+		for (let edge of node.patterns) {
+			if (!edge.regex.test(segment.literal))
+				continue;
+			const terminal = findCoveringTerminal(
+				edge.node, segments, segInd + 1, false, endpoint);
+			if (terminal)
+				return terminal;
+		}
+		return null;
+	}
+
+	// segment with parameters
+	for (let edge of node.patterns) {
+		const same = (edge.pattern === segment.pattern);
+		if (!same && !segmentCovers(edge, segment))
+			continue;
+		const terminal = findCoveringTerminal(
+			edge.node, segments, segInd + 1, (strict && same), endpoint);
+		if (terminal || (strict && same))
+			return terminal;
+	}
+	return null;
+}
+
+/**
+ * Match path against the endpoints in an index.
+ *
+ * @private
+ * @param {Object} index The index.
+ * @param {string} path The path, sans the endpoints prefix and API version.
+ * @returns {?Object} Object with the matched <code>endpoint</code> and the
+ * extracted raw <code>uriParams</code>, or <code>null</code> if no match.
+ */
+function matchEndpoint(index, path) {
+
+	// match the template endpoints
+	const captures = new Array();
+	const terminal = matchNode(index.trie, path.split('/'), 0, captures);
+	if (terminal) {
+		const uriParams = new Array(terminal.endpoint.numUriParams);
+		terminal.paramInds.forEach((paramInd, i) => {
+			uriParams[paramInd] = captures[i];
+		});
+		return {
+			endpoint: terminal.endpoint,
 			uriParams: uriParams
 		};
 	}
+
+	// match the regular expression endpoints
+	let match;
+	const entry = index.patternEndpoints.find(
+		entry => (match = entry.pattern.exec(path)));
+	if (!entry)
+		return null;
+	return {
+		endpoint: entry.endpoint,
+		uriParams: match.slice(1)
+	};
+}
+
+/**
+ * Create new empty trie node.
+ *
+ * @private
+ * @returns {Object} The node.
+ */
+function newTrieNode() {
+
+	return {
+		literals: new Map(),
+		patterns: new Array(),
+		terminal: null
+	};
+}
+
+/**
+ * Match path segments against the trie.
+ *
+ * @private
+ * @param {Object} node Current trie node.
+ * @param {string[]} segments The path segments.
+ * @param {number} segInd Index of the segment to match at the node.
+ * @param {string[]} captures Accumulator of the captured URI parameter values.
+ * On success, contains the values in the order they were captured. On failure,
+ * restored to the state before the call.
+ * @returns {?Object} The matched terminal, or <code>null</code> if no match.
+ */
+function matchNode(node, segments, segInd, captures) {
+
+	// end of the path?
+	if (segInd === segments.length)
+		return node.terminal;
+
+	// try literal segment
+	const segment = segments[segInd];
+	const literalChild = node.literals.get(segment);
+	if (literalChild) {
+		const terminal = matchNode(literalChild, segments, segInd + 1, captures);
+		if (terminal)
+			return terminal;
+	}
+
+	// try segments with parameters
+	const numCaptures = captures.length;
+	for (let edge of node.patterns) {
+		const match = edge.regex.exec(segment);
+		if (!match)
+			continue;
+		for (let i = 1; i < match.length; i++)
+			captures.push(match[i]);
+		const terminal = matchNode(edge.node, segments, segInd + 1, captures);
+		if (terminal)
+			return terminal;
+		captures.length = numCaptures;
+	}
+
+	// no match
+	return null;
+}
+
+/**
+ * Create error for overlapping endpoints.
+ *
+ * @private
+ * @param {Endpoint} endpoint1 The endpoint that takes precedence.
+ * @param {Endpoint} endpoint2 The endpoint that would never be matched.
+ * @param {?string} apiVersion API version, in which the endpoints overlap, or
+ * <code>null</code> for endpoints that are not version-specific.
+ * @returns {external:Error} The error.
+ */
+function overlapError(endpoint1, endpoint2, apiVersion) {
+
+	return new Error(
+		'Endpoint "' + endpoint2.uriTemplate + '" overlaps with endpoint "'
+			+ endpoint1.uriTemplate + '"'
+			+ (apiVersion ? ' in API version "' + apiVersion + '"' : '')
+			+ ' and would never be matched.');
 }
 
 module.exports = EndpointMapper;
@@ -0,0 +1,230 @@
+"use strict";
+
+/**
+ * Supported parameter value types.
+ *
+ * @private
+ * @type {Set.<string>}
+ */
+const PARAMETER_TYPES = new Set([
+	'string',
+	'integer',
+	'number',
+	'boolean',
+	'uuid',
+	'date',
+	'datetime'
+]);
+
+/**
+ * Pattern for UUID values.
+ *
+ * @private
+ * @type {external:RegExp}
+ */
+const UUID_PATTERN =
+	/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Pattern for date values.
+ *
+ * @private
+ * @type {external:RegExp}
+ */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Endpoint URI or query parameter descriptor. The descriptors are created by the
+ * framework from the {@link EndpointParameterDefinition} objects included in the
+ * endpoint definitions.
+ *
+ * @private
+ */
+class EndpointParameter {
+
+	/**
+	 * Create new parameter descriptor.
+	 *
+	 * @param {string} desc Parameter description used in the error messages.
+	 * @param {string} name Parameter name used in the validation errors.
+	 * @param {EndpointParameterDefinition} def Parameter definition.
+	 * @throws {Error} If the parameter definition is invalid.
+	 */
+	constructor(desc, name, def) {
+
+		// helper function for the definition errors
+		function invalid(msg) {
+			return new Error('Invalid definition of ' + desc + ': ' + msg);
+		}
+
+		// check the definition
+		if (typeof def !== 'object' || (def === null))
+			throw invalid('definition is not an object.');
+		const type = (def.type || 'string');
+		if (!PARAMETER_TYPES.has(type))
+			throw invalid('invalid type "' + type + '".');
+
+		this._name = name;
+		this._type = type;
+		this._required = !!def.required;
+		this._list = !!def.list;
+
+		// value constraints
+		if ((def.values !== undefined)
+			&& (!Array.isArray(def.values) || (def.values.length === 0)))
+			throw invalid('values must be a non-empty array.');
+		this._values = def.values;
+		['min', 'max'].forEach(attrName => {
+			const val = def[attrName];
+			if ((val !== undefined)
+				&& (((type !== 'integer') && (type !== 'number'))
+					|| typeof val !== 'number' || !isFinite(val)))
+				throw invalid(
+					attrName + ' must be a number and is applicable only to'
+						+ ' integer and number parameters.');
+		});
+		this._min = def.min;
+		this._max = def.max;
+		if (def.pattern !== undefined) {
+			if (type !== 'string')
+				throw invalid('pattern is applicable only to string parameters.');
+			try {
+				this._pattern = (
+					def.pattern instanceof RegExp ?
+						def.pattern : new RegExp(String(def.pattern)));
+			} catch (err) {
+				throw invalid('invalid pattern: ' + err.message);
+			}
+		}
+	}
+
+
+	/**
+	 * Parameter name.
+	 *
+	 * @type {string}
+	 * @readonly
+	 */
+	get name() {
+
+		return this._name;
+	}
+
+	/**
+	 * Tells if the parameter is required.
+	 *
+	 * @type {boolean}
+	 * @readonly
+	 */
+	get required() {
+
+		return this._required;
+	}
+
+	/**
+	 * Convert and validate raw parameter value.
+	 *
+	 * @param {(string|string[])} rawValue The raw value. An array for a query
+	 * parameter repeated in the query string.
+	 * @param {ValidationErrors} errors Validation errors accumulator.
+	 * @returns {*} The converted value, or <code>undefined</code> if invalid. For
+	 * a list parameter, array of converted values.
+	 */
+	convert(rawValue, errors) {
+
+		// list parameter?
+		if (this._list) {
+			const res = new Array();
+			(Array.isArray(rawValue) ? rawValue : [ rawValue ]).forEach(v => {
+				if (v.length > 0)
+					v.split(',').forEach(element => {
+						res.push(this._convertValue(element, errors));
+					});
+			});
+			return (
+				res.every(element => (element !== undefined)) ? res : undefined);
+		}
+
+		// single value parameter
+		if (Array.isArray(rawValue)) {
+			errors.add(this._name, 'single');
+			return undefined;
+		}
+
+		return this._convertValue(rawValue, errors);
+	}
+
+	/**
+	 * Convert and validate single raw value.
+	 *
+	 * @private
+	 * @param {string} str The raw value.
+	 * @param {ValidationErrors} errors Validation errors accumulator.
+	 * @returns {*} The converted value, or <code>undefined</code> if invalid.
+	 */
+	_convertValue(str, errors) {
+
+		// convert the value
+		let val;
+		switch (this._type) {
+		case 'string':
+			val = str;
+			break;
+		case 'integer':
+			if (/^[+-]?\d+$/.test(str))
+				val = Number(str);
+			break;
+		case 'number':
+			if ((str.trim().length > 0) && isFinite(Number(str)))
+				val = Number(str);
+			break;
+		case 'boolean':
+			if ((str === 'true') || (str === 'false'))
+				val = (str === 'true');
+			break;
+		case 'uuid':
+			if (UUID_PATTERN.test(str))
+				val = str.toLowerCase();
+			break;
+		case 'date':
+			if (DATE_PATTERN.test(str)) {
+				val = new Date(str + 'T00:00:00Z');
+				if (isNaN(val.getTime())
+					|| (val.toISOString().substring(0, 10) !== str))
+					val = undefined;
+			}
+			break;
+		case 'datetime':
+			val = new Date(str);
+			if (isNaN(val.getTime()))
+				val = undefined;
+		}
+		if (val === undefined) {
+			errors.add(this._name, 'type', [ this._type ]);
+			return undefined;
+		}
+
+		// check the constraints
+		if (this._values && (this._values.indexOf(val) < 0)) {
+			errors.add(this._name, 'values', this._values);
+			return undefined;
+		}
+		if ((this._min !== undefined) && (val < this._min)) {
+			errors.add(this._name, 'min', [ this._min ]);
+			return undefined;
+		}
+		if ((this._max !== undefined) && (val > this._max)) {
+			errors.add(this._name, 'max', [ this._max ]);
+			return undefined;
+		}
+		if (this._pattern && !this._pattern.test(val)) {
+			errors.add(this._name, 'pattern', [ this._pattern.source ]);
+			return undefined;
+		}
+
+		// valid value
+		return val;
+	}
+}
+
+module.exports = EndpointParameter;
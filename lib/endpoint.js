@@ -1,5 +1,39 @@
 "use strict";
 
+const CachePolicy = require('./cache-policy.js');
+const EndpointParameter = require('./endpoint-parameter.js');
+const ValidationErrors = require('./validation-errors.js');
+const ResourceEndpointHandler =
+	require('./endpoint-handler/resource-endpoint-handler.js');
+const MethodsEndpointHandler =
+	require('./endpoint-handler/methods-endpoint-handler.js');
+
+/**
+ * Pattern used to tell a URI template from a regular expression: any curly
+ * brace that does not start a regular expression quantifier.
+ *
+ * @private
+ * @type {external:RegExp}
+ */
+const URI_TEMPLATE_PARAM = /\{(?!\d+(?:,\d*)?\})/;
+
+/**
+ * Pattern for URIs that contain no regular expression special characters and
+ * therefore can be matched literally.
+ *
+ * @private
+ * @type {external:RegExp}
+ */
+const LITERAL_URI = /^[^\\^$.*+?()[\]{}|]*$/;
+
+/**
+ * Pattern for valid API version names.
+ *
+ * @private
+ * @type {external:RegExp}
+ */
+const API_VERSION = /^[\w.-]+$/;
+
 /**
  * Endpoint.
  *
@@ -10,50 +44,316 @@ class Endpoint {
 	/**
 	 * Create new endpoint.
 	 *
-	 * @param {string} uriPattern Endpoint URI regular expression pattern. URI
-	 * parameters are groups in the pattern.
+	 * @param {(string|external:RegExp)} uriPattern Endpoint URI template (see
+	 * {@link Application#endpoint}), or regular expression pattern, in which
+	 * case the URI parameters are groups in the pattern.
 	 * @param {EndpointDefinition} def Endpoint definition object.
+	 * @param {string} [uriPrefix] Literal prefix added to the endpoint URI,
+	 * such as the path, under which the endpoint's module is mounted.
 	 * @throws {SyntaxError} If specified URI pattern is invalid.
+	 * @throws {Error} If the endpoint definition is invalid.
 	 */
-	constructor(uriPattern, def) {
+	constructor(uriPattern, def, uriPrefix) {
 
-		this._uriPattern = uriPattern;
 		this._def = def;
+		const prefix = (uriPrefix || '');
+		this._uriTemplate = prefix + String(uriPattern);
+
+		// compile the URI template or use the regular expression as is
+		if (uriPattern instanceof RegExp) {
+			this._uriPattern = escapeRegExp(prefix) + uriPattern.source;
+			this._uriParamNames = null;
+			this._uriRoutes = null;
+		} else if (URI_TEMPLATE_PARAM.test(uriPattern)
+			|| LITERAL_URI.test(uriPattern)) {
+			const compiled = compileUriTemplate(prefix + uriPattern);
+			this._uriPattern = compiled.pattern;
+			this._uriParamNames = compiled.paramNames;
+			this._uriRoutes = compiled.routes;
+		} else {
+			this._uriPattern = escapeRegExp(prefix) + uriPattern;
+			this._uriParamNames = null;
+			this._uriRoutes = null;
+		}
 
 		this._numUriParams =
-			(new RegExp('^(?:' + uriPattern + ')?$')).exec('').length - 1;
-
-		// TODO: create handler
-		this._handler = {
-			getAllowedMethods(resourceUri, uriParams) {
-				return new Set([ 'GET', 'POST', 'PATCH', 'DELETE' ]);
-			},
-			isPublic(resourceUri, uriParams) {
-				return false;
-			},
-			isAllowed(method, resourceUri, uriParams, actor) {
-				return true;
-			},
-			getRequestEntityValidator(method, resourceUri, uriParams) {
-				return function(obj, errors) {
-					console.log('>>> validating entity: ' + obj);
-					return obj;
-				};
-			},
-			handleCall(ctx) {
-				console.log('>>> handing call');
-				return new Promise((resolve, reject) => {
-					setTimeout(() => {
-						resolve({
-							a: "amber",
-							z: "zumba"
-						});
-					}, 3000);
+			(new RegExp('^(?:' + this._uriPattern + ')?$')).exec('').length - 1;
+
+		// check the definition
+		const numHandlerAttrs = (
+			def ?
+				[ def.resource, def.handler, def.methods ].filter(v => v).length :
+				0);
+		if (numHandlerAttrs === 0)
+			throw new Error(
+				'Definition of endpoint "' + uriPattern
+					+ '" does not specify resource, handler nor methods.');
+		if (numHandlerAttrs > 1)
+			throw new Error(
+				'Definition of endpoint "' + uriPattern
+					+ '" specifies more than one of resource, handler and'
+					+ ' methods.');
+
+		// API versions
+		if (def.apiVersion !== undefined) {
+			this._apiVersions = (
+				Array.isArray(def.apiVersion) ?
+					Array.from(def.apiVersion) : [ def.apiVersion ]);
+			if ((this._apiVersions.length === 0)
+				|| !this._apiVersions.every(v => (
+					typeof v === 'string' && API_VERSION.test(v))))
+				throw new Error(
+					'Definition of endpoint "' + uriPattern
+						+ '" has invalid API version.');
+		} else {
+			this._apiVersions = null;
+		}
+
+		// cacheability policy, if overridden by the endpoint
+		if (def.cacheability !== undefined) {
+			try {
+				this._cachePolicy = new CachePolicy(def.cacheability, def.maxAge);
+			} catch (err) {
+				throw new Error(
+					'Invalid definition of endpoint "' + uriPattern + '": '
+						+ err.message);
+			}
+		} else {
+			this._cachePolicy = CachePolicy.DEFAULT;
+		}
+
+		// maximum request sizes and handler timeout, if overridden by the
+		// endpoint
+		[
+			'maxRequestSize', 'maxAttachmentSize', 'maxMultipartRequestSize',
+			'handlerTimeout'
+		].forEach(attrName => {
+			const val = def[attrName];
+			if ((val !== undefined) && (!Number.isInteger(val) || (val <= 0)))
+				throw new Error(
+					'Definition of endpoint "' + uriPattern + '" has invalid '
+						+ attrName + ': must be a positive integer.');
+			this['_' + attrName] = val;
+		});
+
+		// allowed CORS origins, if overridden by the endpoint
+		if (def.allowedSecureOrigins) {
+			this._allowedSecureOriginsPattern = new RegExp(
+				'^' + def.allowedSecureOrigins + '$', 'i');
+			if (def.allowedPublicOrigins)
+				this._allowedPublicOriginsPattern = new RegExp(
+					'^' + def.allowedPublicOrigins + '$', 'i');
+		}
+
+		// URI parameters
+		this._uriParams = new Array(this._numUriParams);
+		if (Array.isArray(def.uriParams)) {
+			def.uriParams.forEach((paramDef, ind) => {
+				if (ind >= this._numUriParams)
+					throw new Error(
+						'Definition of endpoint "' + uriPattern
+							+ '" has more URI parameters than the URI'
+							+ ' pattern.');
+				if (paramDef)
+					this._uriParams[ind] = new EndpointParameter(
+						'endpoint "' + uriPattern + '" URI parameter #' + ind,
+						(paramDef.name || (
+							this._uriParamNames ?
+								this._uriParamNames[ind] : String(ind))),
+						paramDef);
+			});
+		} else if (def.uriParams !== undefined) {
+			if (!this._uriParamNames || typeof def.uriParams !== 'object'
+				|| (def.uriParams === null))
+				throw new Error(
+					'Definition of endpoint "' + uriPattern
+						+ '" has URI parameters that are not an array.');
+			Object.keys(def.uriParams).forEach(paramName => {
+				const ind = this._uriParamNames.indexOf(paramName);
+				if (ind < 0)
+					throw new Error(
+						'Definition of endpoint "' + uriPattern
+							+ '" has URI parameter "' + paramName
+							+ '" that is not in the URI template.');
+				this._uriParams[ind] = new EndpointParameter(
+					'endpoint "' + uriPattern + '" URI parameter "' + paramName
+						+ '"',
+					paramName, def.uriParams[paramName]);
+			});
+		}
+
+		// template parameters are always at least URI-decoded strings
+		if (this._uriParamNames)
+			this._uriParamNames.forEach((paramName, ind) => {
+				if (!this._uriParams[ind]
+					&& !(def.resource && (ind === this._numUriParams - 1)))
+					this._uriParams[ind] = new EndpointParameter(
+						'endpoint "' + uriPattern + '" URI parameter "'
+							+ paramName + '"',
+						paramName, {});
+			});
+
+		// query parameters
+		this._queryParams = new Map();
+		Object.keys(def.queryParams || {}).forEach(paramName => {
+			this._queryParams.set(paramName, new EndpointParameter(
+				'endpoint "' + uriPattern + '" query parameter "' + paramName
+					+ '"',
+				paramName, def.queryParams[paramName]));
+		});
+
+		// custom handler or handler built from the method definitions
+		this._handler = (
+			def.methods ?
+				new MethodsEndpointHandler(
+					'endpoint "' + uriPattern + '"', def) :
+				def.handler);
+	}
+
+
+	/**
+	 * Create handler for an endpoint bound to a resource. Called by the
+	 * application during its initialization.
+	 *
+	 * @param {Map.<string,Resource>} resources Application resources.
+	 * @throws {Error} If the endpoint refers to an unknown resource.
+	 */
+	createHandler(resources) {
+
+		// check if custom handler
+		if (this._handler)
+			return;
+
+		// find the resource
+		const resource = resources.get(this._def.resource);
+		if (!resource)
+			throw new Error(
+				'Endpoint "' + this._uriTemplate
+					+ '" refers to unknown resource "' + this._def.resource
+					+ '".');
+
+		// use resource cacheability policy unless overridden by the endpoint
+		if (this._def.cacheability === undefined)
+			this._cachePolicy = resource.cachePolicy;
+
+		// declare the record id URI parameter unless declared by the endpoint
+		const idParamInd = this._numUriParams - 1;
+		if ((idParamInd >= 0) && !this._uriParams[idParamInd])
+			this._uriParams[idParamInd] = new EndpointParameter(
+				'endpoint "' + this._uriTemplate + '" record id URI parameter',
+				resource.idPropertyName, {
+					type: resource.properties.get(
+						resource.idPropertyName).type
 				});
+
+		// create the handler
+		this._handler = new ResourceEndpointHandler(resource, this._def);
+	}
+
+
+	/**
+	 * Convert and validate URI parameters according to the endpoint definition.
+	 * The declared parameters are URI-decoded and converted to the declared
+	 * types. Undeclared parameters are left intact.
+	 *
+	 * @param {string[]} uriParams Raw URI parameters extracted from the request
+	 * URI.
+	 * @returns {Array} The converted parameters, or <code>null</code> if any of
+	 * the parameters is invalid.
+	 */
+	convertUriParams(uriParams) {
+
+		const errors = new ValidationErrors(null);
+		const res = uriParams.map((rawValue, ind) => {
+			const param = this._uriParams[ind];
+			if (!param)
+				return rawValue;
+			if (rawValue === undefined) {
+				if (param.required)
+					errors.add(param.name, 'required');
+				return undefined;
 			}
-		};
+			let decodedValue;
+			try {
+				decodedValue = decodeURIComponent(rawValue);
+			} catch (err) {
+				errors.add(param.name, 'type');
+				return undefined;
+			}
+			return param.convert(decodedValue, errors);
+		});
+
+		return (errors.hasErrors ? null : res);
+	}
+
+	/**
+	 * Convert and validate query parameters according to the endpoint
+	 * definition.
+	 *
+	 * @param {Object.<string,(string|string[])>} queryParams Query string
+	 * parameters as parsed by Node.js "querystring" module.
+	 * @param {ValidationErrors} errors Validation errors accumulator.
+	 * @returns {Object.<string,*>} Copy of the query parameters with the
+	 * declared ones converted to the declared types.
+	 */
+	convertQueryParams(queryParams, errors) {
+
+		const res = Object.assign({}, queryParams);
+		this._queryParams.forEach((param, paramName) => {
+			const rawValue = queryParams[paramName];
+			if (rawValue === undefined) {
+				if (param.required)
+					errors.add(paramName, 'required');
+			} else {
+				res[paramName] = param.convert(rawValue, errors);
+			}
+		});
+
+		return res;
+	}
+
+	/**
+	 * Get query parameters not declared in the endpoint definition.
+	 *
+	 * @param {Object.<string,(string|string[])>} queryParams Query string
+	 * parameters.
+	 * @returns {Object.<string,(string|string[])>} Copy of the query parameters
+	 * without the declared ones.
+	 */
+	getUndeclaredQueryParams(queryParams) {
+
+		const res = {};
+		Object.keys(queryParams).forEach(paramName => {
+			if (!this._queryParams.has(paramName))
+				res[paramName] = queryParams[paramName];
+		});
+
+		return res;
+	}
+
+	/**
+	 * Endpoint URI template or regular expression pattern as specified when the
+	 * endpoint was added to the application.
+	 *
+	 * @type string
+	 * @readonly
+	 */
+	get uriTemplate() {
+
+		return this._uriTemplate;
 	}
 
+	/**
+	 * Routes for the endpoint URI template, or <code>null</code> if the endpoint
+	 * URI is specified as a regular expression.
+	 *
+	 * @type UriRoute[]
+	 * @readonly
+	 */
+	get uriRoutes() {
+
+		return this._uriRoutes;
+	}
 
 	/**
 	 * Endpoint URI regular expression pattern.
@@ -66,6 +366,19 @@ class Endpoint {
 		return this._uriPattern;
 	}
 
+	/**
+	 * Names of the URI parameters by their positions if the endpoint URI is
+	 * specified as a template, or <code>null</code> if it is specified as a
+	 * regular expression.
+	 *
+	 * @type string[]
+	 * @readonly
+	 */
+	get uriParamNames() {
+
+		return this._uriParamNames;
+	}
+
 	/**
 	 * Expected number of URI parameters.
 	 *
@@ -77,6 +390,101 @@ class Endpoint {
 		return this._numUriParams;
 	}
 
+	/**
+	 * API versions, under which the endpoint is registered, or
+	 * <code>null</code> if the endpoint is not version-specific.
+	 *
+	 * @type string[]
+	 * @readonly
+	 */
+	get apiVersions() {
+
+		return this._apiVersions;
+	}
+
+	/**
+	 * Cacheability policy for the endpoint responses.
+	 *
+	 * @type CachePolicy
+	 * @readonly
+	 */
+	get cachePolicy() {
+
+		return this._cachePolicy;
+	}
+
+	/**
+	 * Maximum allowed request entity size in bytes, or <code>undefined</code>
+	 * if not overridden by the endpoint.
+	 *
+	 * @type number
+	 * @readonly
+	 */
+	get maxRequestSize() {
+
+		return this._maxRequestSize;
+	}
+
+	/**
+	 * Maximum allowed size in bytes of each attachment part in a multipart
+	 * request, or <code>undefined</code> if not overridden by the endpoint.
+	 *
+	 * @type number
+	 * @readonly
+	 */
+	get maxAttachmentSize() {
+
+		return this._maxAttachmentSize;
+	}
+
+	/**
+	 * Maximum allowed total size in bytes of a multipart request payload, or
+	 * <code>undefined</code> if not overridden by the endpoint.
+	 *
+	 * @type number
+	 * @readonly
+	 */
+	get maxMultipartRequestSize() {
+
+		return this._maxMultipartRequestSize;
+	}
+
+	/**
+	 * Maximum time in milliseconds allowed for the handler to complete a call,
+	 * or <code>undefined</code> if not overridden by the endpoint.
+	 *
+	 * @type number
+	 * @readonly
+	 */
+	get handlerTimeout() {
+
+		return this._handlerTimeout;
+	}
+
+	/**
+	 * Pattern for the allowed secure CORS origins, or <code>undefined</code> if
+	 * not overridden by the endpoint.
+	 *
+	 * @type external:RegExp
+	 * @readonly
+	 */
+	get allowedSecureOriginsPattern() {
+
+		return this._allowedSecureOriginsPattern;
+	}
+
+	/**
+	 * Pattern for the additional allowed public CORS origins, or
+	 * <code>undefined</code> if none or not overridden by the endpoint.
+	 *
+	 * @type external:RegExp
+	 * @readonly
+	 */
+	get allowedPublicOriginsPattern() {
+
+		return this._allowedPublicOriginsPattern;
+	}
+
 	/**
 	 * Endpoint handler.
 	 *
@@ -89,4 +497,211 @@ class Endpoint {
 	}
 }
 
+/**
+ * Maximum number of routes a single URI template can expand into because of
+ * the optional segments.
+ *
+ * @private
+ * @type {number}
+ */
+const MAX_TEMPLATE_ROUTES = 64;
+
+/**
+ * URI route, which is one of the alternative forms of a URI template split into
+ * path segments. A template without optional segments has a single route.
+ *
+ * @private
+ * @typedef {Object} UriRoute
+ * @property {UriRouteSegment[]} segments The path segments, including the
+ * leading empty segment before the first slash.
+ * @property {number[]} paramInds Positions of the URI parameters captured by
+ * the route's segments in the order the segments capture them.
+ */
+
+/**
+ * URI route segment.
+ *
+ * @private
+ * @typedef {Object} UriRouteSegment
+ * @property {string} [literal] Literal segment value, if the segment does not
+ * include any parameters.
+ * @property {string} [pattern] Regular expression pattern for the segment, if
+ * the segment includes parameters. Each parameter is a capturing group.
+ */
+
+/**
+ * Compile URI template into a regular expression pattern and the routes.
+ *
+ * @private
+ * @param {string} template The URI template.
+ * @returns {{pattern: string, paramNames: string[], routes: UriRoute[]}} The
+ * regular expression pattern, the URI parameter names in the order of the
+ * corresponding groups in the pattern, and the routes.
+ * @throws {SyntaxError} If the template is invalid.
+ */
+function compileUriTemplate(template) {
+
+	// parse the template into a tree of text, parameter and optional items
+	const paramNames = new Array();
+	const root = new Array();
+	const stack = [ root ];
+	const len = template.length;
+	for (let i = 0; i < len; i++) {
+		const items = stack[stack.length - 1];
+		const c = template[i];
+		switch (c) {
+		case '{': {
+
+			// find matching closing brace
+			let depth = 1, end = i + 1;
+			while ((end < len) && (depth > 0)) {
+				const ec = template[end];
+				if (ec === '\\')
+					end++;
+				else if (ec === '{')
+					depth++;
+				else if (ec === '}')
+					depth--;
+				end++;
+			}
+			if (depth > 0)
+				throw new SyntaxError(
+					'Invalid URI template "' + template
+						+ '": unclosed parameter.');
+
+			// parse the parameter
+			const param = template.substring(i + 1, end - 1);
+			const colonInd = param.indexOf(':');
+			const paramName = (
+				colonInd < 0 ? param : param.substring(0, colonInd));
+			if (!/^[a-zA-Z_$][\w$]*$/.test(paramName))
+				throw new SyntaxError(
+					'Invalid URI template "' + template
+						+ '": invalid parameter name "' + paramName + '".');
+			if (paramNames.indexOf(paramName) >= 0)
+				throw new SyntaxError(
+					'Invalid URI template "' + template
+						+ '": duplicate parameter "' + paramName + '".');
+			const paramPattern = (
+				colonInd < 0 ? '[^/]+' : param.substring(colonInd + 1));
+			if ((new RegExp('^(?:' + paramPattern + ')?$')).exec('').length > 1)
+				throw new SyntaxError(
+					'Invalid URI template "' + template + '": parameter "'
+						+ paramName + '" pattern has capturing groups.');
+			items.push({
+				paramInd: paramNames.length,
+				pattern: paramPattern
+			});
+			paramNames.push(paramName);
+			i = end - 1;
+			break;
+		}
+		case '[': {
+			const optional = new Array();
+			items.push({ optional: optional });
+			stack.push(optional);
+			break;
+		}
+		case ']':
+			if (stack.length === 1)
+				throw new SyntaxError(
+					'Invalid URI template "' + template
+						+ '": unbalanced optional segment.');
+			stack.pop();
+			break;
+		default:
+			if ((items.length > 0)
+				&& (items[items.length - 1].text !== undefined))
+				items[items.length - 1].text += c;
+			else
+				items.push({ text: c });
+		}
+	}
+	if (stack.length > 1)
+		throw new SyntaxError(
+			'Invalid URI template "' + template
+				+ '": unclosed optional segment.');
+
+	// build the regular expression pattern
+	const buildPattern = items => items.map(item => (
+		item.text !== undefined ? escapeRegExp(item.text) :
+			item.optional ? '(?:' + buildPattern(item.optional) + ')?' :
+				'(' + item.pattern + ')'
+	)).join('');
+
+	// expand the optional items into flat item lists
+	const expand = items => items.reduce((variants, item) => {
+		const itemVariants = (
+			item.optional ? [ [] ].concat(expand(item.optional)) : [ [ item ] ]);
+		const res = new Array();
+		variants.forEach(variant => {
+			itemVariants.forEach(itemVariant => {
+				res.push(variant.concat(itemVariant));
+			});
+		});
+		if (res.length > MAX_TEMPLATE_ROUTES)
+			throw new SyntaxError(
+				'Invalid URI template "' + template
+					+ '": too many optional segments.');
+		return res;
+	}, [ [] ]);
+
+	// split each flat item list into path segments
+	const routes = expand(root).map(flatItems => {
+		const segments = new Array();
+		const paramInds = new Array();
+		let segItems = new Array();
+		const endSegment = () => {
+			if (segItems.every(item => (item.text !== undefined)))
+				segments.push({
+					literal: segItems.map(item => item.text).join('')
+				});
+			else
+				segments.push({
+					pattern: buildPattern(segItems)
+				});
+			segItems = new Array();
+		};
+		flatItems.forEach(item => {
+			if (item.text === undefined) {
+				paramInds.push(item.paramInd);
+				segItems.push(item);
+				return;
+			}
+			const parts = item.text.split('/');
+			parts.forEach((part, ind) => {
+				if (ind > 0)
+					endSegment();
+				if (part.length > 0)
+					segItems.push({ text: part });
+			});
+		});
+		endSegment();
+		return {
+			segments: segments,
+			paramInds: paramInds
+		};
+	});
+
+	// return the compiled template
+	return {
+		pattern: buildPattern(root),
+		paramNames: paramNames,
+		routes: routes
+	};
+}
+
+/**
+ * Escape regular expression special characters in a string.
+ *
+ * @private
+ * @param {string} text The string.
+ * @returns {string} Regular expression pattern that matches the string
+ * literally.
+ */
+function escapeRegExp(text) {
+
+	return text.replace(/[.*+?^$()[\]{}|\\]/g, '\\$&');
+}
+
 module.exports = Endpoint;
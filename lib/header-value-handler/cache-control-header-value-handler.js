@@ -0,0 +1,98 @@
+"use strict";
+
+/**
+ * Handler for the "Cache-Control" header.
+ *
+ * <p>When value is set, it is converted to a string, if necessary, and parsed as
+ * a comma-separated list of directives, each optionally with an argument after
+ * an equal sign. The directives are merged with the existing ones:
+ *
+ * <ul>
+ * <li>Directive names are case-insensitive and are normalized to lower-case.
+ * <li>A directive that is already present is not duplicated. For "max-age" and
+ * "s-maxage" the smallest value wins. For any other directive, the new argument
+ * replaces the existing one.
+ * <li>"public" and "private" are mutually exclusive and the newly set one
+ * replaces the other.
+ * <li>"no-store" makes any freshness directives ("public", "max-age",
+ * "s-maxage") meaningless, so they are removed and are not added once
+ * "no-store" is present.
+ * </ul>
+ *
+ * <p>This handler is automatically registered in the application for the
+ * following headers:
+ *
+ * <ul>
+ * <li>Cache-Control
+ * </ul>
+ *
+ * @implements {HeaderValueHandler}
+ */
+class CacheControlHeaderValueHandler {
+
+	value(v) {
+
+		if (v === undefined)
+			return (
+				this._value ?
+					Array.from(this._value).map(
+						entry => (
+							entry[1] === null ? entry[0] :
+								entry[0] + '=' + entry[1])
+					).join(', ') :
+					''
+			);
+
+		if (!this._value)
+			this._value = new Map();
+		String(v).trim().split(/\s*,\s*/).forEach(element => {
+			if (element.length === 0)
+				return;
+			const eqInd = element.indexOf('=');
+			const name = (
+				eqInd < 0 ? element : element.substring(0, eqInd)
+			).trim().toLowerCase();
+			const arg = (eqInd < 0 ? null : element.substring(eqInd + 1).trim());
+			this._addDirective(name, arg);
+		});
+	}
+
+	/**
+	 * Merge directive into the value.
+	 *
+	 * @private
+	 * @param {string} name Directive name, lower-case.
+	 * @param {?string} arg Directive argument, or <code>null</code> if none.
+	 */
+	_addDirective(name, arg) {
+
+		const directives = this._value;
+
+		switch (name) {
+		case 'no-store':
+			directives.delete('public');
+			directives.delete('max-age');
+			directives.delete('s-maxage');
+			break;
+		case 'public':
+			if (directives.has('no-store'))
+				return;
+			directives.delete('private');
+			break;
+		case 'private':
+			directives.delete('public');
+			break;
+		case 'max-age':
+		case 's-maxage':
+			if (directives.has('no-store'))
+				return;
+			if (directives.has(name)
+				&& (Number(directives.get(name)) <= Number(arg)))
+				return;
+		}
+
+		directives.set(name, arg);
+	}
+}
+
+module.exports = CacheControlHeaderValueHandler;
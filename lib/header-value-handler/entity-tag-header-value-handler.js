@@ -0,0 +1,35 @@
+"use strict";
+
+/**
+ * Handler for headers, whose value is an entity tag.
+ *
+ * <p>When value is set, it replaces any existing value. If the value is already
+ * a quoted entity tag, optionally prefixed with "W/" for a weak tag, it is used
+ * as is. Otherwise, the value is converted to a string, if necessary, and
+ * enclosed in double quotes, which makes it a strong entity tag. That way, for
+ * example, a record version number can be used directly as the header value.
+ *
+ * <p>This handler is automatically registered in the application for the
+ * following headers:
+ *
+ * <ul>
+ * <li>ETag
+ * </ul>
+ *
+ * @implements {HeaderValueHandler}
+ */
+class EntityTagHeaderValueHandler {
+
+	value(v) {
+
+		if (v === undefined)
+			return (this._value || '');
+
+		const str = String(v);
+		this._value = (
+			/^(?:W\/)?"[^"]*"$/.test(str) ? str :
+				'"' + str.replace(/"/g, '') + '"');
+	}
+}
+
+module.exports = EntityTagHeaderValueHandler;
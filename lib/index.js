@@ -1,6 +1,7 @@
 "use strict";
 
 const Application = require('./application.js');
+const ApplicationModule = require('./application-module.js');
 
 /**
  * Application configuration access function. The function is used throughout the
@@ -22,15 +23,259 @@ const Application = require('./application.js');
  * Resource definition object.
  *
  * @typedef {Object} ResourceDefinition
- * @property {string} name Resource name.
+ * @property {string} name Resource name. Must be unique within the application.
+ * @property {string} [idProperty=id] Name of the record id property. The
+ * property must be included in the <code>properties</code> and must be of type
+ * "string" or "number". The id property is always read-only.
+ * @property {string} [versionProperty] Name of the record version property. The
+ * property must be included in the <code>properties</code> and must be of type
+ * "number". The version is maintained by the {@link Persistence} service: it
+ * is set to 1 when a record is created and is incremented every time the record
+ * is updated. The version property is always read-only. The version is used as
+ * the record's entity tag (the "ETag" HTTP response header), which allows
+ * optimistic concurrency control using "If-Match" HTTP request header.
+ * @property {string} [lastModifiedProperty] Name of the record last
+ * modification timestamp property. The property must be included in the
+ * <code>properties</code> and must be of type "datetime". The timestamp is
+ * maintained by the {@link Persistence} service. The property is always
+ * read-only. The timestamp is sent in the "Last-Modified" HTTP response header
+ * and can be used in "If-Unmodified-Since" HTTP request header.
+ * @property {boolean} [preconditionRequired=false] <code>true</code> if calls
+ * that modify or delete a record must include "If-Match" or
+ * "If-Unmodified-Since" HTTP request header. Without it, the calls are rejected
+ * with an HTTP 428 (Precondition Required) response.
+ * @property {string} [cacheability=default] Cacheability policy for the
+ * responses to the calls that read the resource records. One of "sensitive",
+ * "nocache", "default", "private" or "public" (see {@link CachePolicy}).
+ * @property {number} [maxAge] Time in seconds, for which the response is
+ * considered fresh. Required if <code>cacheability</code> is "private" or
+ * "public".
+ * @property {Object.<string,PropertyDefinition>} properties Definitions of the
+ * resource record properties by property names.
  */
-// TODO: cacheability: sensitive (no-store), nocache (no-cache - do we need it?), default (max-age=0, must-reval), private+ttl, public+ttl
 
 /**
- * Endpoint definition object.
+ * Resource record property definition object.
+ *
+ * @typedef {Object} PropertyDefinition
+ * @property {string} type Property value type. Can be one of the following:
+ *
+ * <dl>
+ * <dt>string<dd>A string.
+ * <dt>number<dd>A number.
+ * <dt>boolean<dd>A Boolean value.
+ * <dt>datetime<dd>A date and time, represented by a <code>Date</code> object in
+ * the record and by an ISO 8601 string in the serialized form.
+ * <dt>object<dd>A nested object, whose properties are described by the
+ * <code>properties</code> attribute.
+ * <dt>array<dd>An array, whose elements are described by the
+ * <code>element</code> attribute.
+ * <dt>ref<dd>A reference to a record of another resource, whose name is
+ * specified by the <code>resource</code> attribute. The property value is the
+ * id of the referred record.
+ * </dl>
+ *
+ * @property {boolean} [required=false] <code>true</code> if the property value
+ * must be always present in the record.
+ * @property {boolean} [readOnly=false] <code>true</code> if the property value
+ * is set by the application and cannot be provided by the API client.
+ * @property {Object.<string,PropertyDefinition>} [properties] For a nested
+ * object property, definitions of the nested object properties.
+ * @property {PropertyDefinition} [element] For an array property, definition of
+ * the array elements.
+ * @property {string} [resource] For a reference property, name of the referred
+ * resource.
+ * @property {number} [minLength] For a string property, minimum string length.
+ * @property {number} [maxLength] For a string property, maximum string length.
+ * @property {(string|external:RegExp)} [pattern] For a string property, regular
+ * expression that the value must match. Note, that the pattern is not anchored
+ * automatically.
+ * @property {number} [min] For a number property, minimum allowed value.
+ * @property {number} [max] For a number property, maximum allowed value.
+ * @property {Array.<(string|number)>} [values] For a string, number or
+ * reference property, list of allowed values.
+ * @property {number} [minItems] For an array property, minimum number of
+ * elements.
+ * @property {number} [maxItems] For an array property, maximum number of
+ * elements.
+ * @property {(PropertyConstraintFunction|PropertyConstraintFunction[])}
+ * [validate] Custom constraint function or functions, called after the value
+ * passes the type check and the declarative constraints above. For a nested
+ * object property, the functions are called with the nested object after its
+ * properties are validated, which allows rules involving several properties.
+ */
+
+/**
+ * Custom property value constraint function.
+ *
+ * @callback PropertyConstraintFunction
+ * @param {*} value The property value, already checked to be of the property
+ * type.
+ * @param {string} path Path of the property in the validated record, such as
+ * "items[2].price".
+ * @param {ValidationErrors} errors Validation errors accumulator, to which the
+ * function adds any constraint violations.
+ * @param {Runtime} runtime Application runtime.
+ * @returns {Promise} Optional promise, if the function is asynchronous. The
+ * function may add constraint violations until the promise is fulfilled.
+ */
+
+/**
+ * Endpoint definition object. The definition must specify exactly one of the
+ * <code>resource</code>, the <code>handler</code> or the
+ * <code>methods</code>.
  *
  * @typedef {Object} EndpointDefinition
- * @property {string} resource Resource name.
+ * @property {string} [resource] Name of the resource, to which the endpoint is
+ * bound. The framework generates handler for the endpoint that exposes standard
+ * CRUD operations on the resource records (see
+ * {@link ResourceEndpointHandler}).
+ * @property {EndpointHandler} [handler] Custom endpoint handler.
+ * @property {Object.<string,(EndpointMethodDefinition|function)>} [methods]
+ * Definitions of the calls supported by the endpoint by HTTP method names (all
+ * upper-case). A definition can be just the call handler function (see
+ * {@link EndpointMethodDefinition#handleCall}). The framework generates
+ * handler for the endpoint that dispatches the calls to the method
+ * definitions (see {@link MethodsEndpointHandler}). Methods "HEAD" and
+ * "OPTIONS" are handled automatically and cannot be defined.
+ * @property {boolean} [public=false] For an endpoint bound to a resource,
+ * <code>true</code> to allow unauthenticated calls. Otherwise, only
+ * authenticated calls are allowed. For an endpoint with method definitions,
+ * the default for the methods that do not specify it.
+ * @property {number} [maxRequestSize] Maximum allowed request entity size in
+ * bytes for the endpoint. Overrides the application's
+ * <code>X2_MAX_REQUEST_SIZE</code> configuration parameter (see
+ * {@link Application}).
+ * @property {number} [maxAttachmentSize] Maximum allowed size in bytes of
+ * each attachment part in a multipart request for the endpoint. Overrides the
+ * application's <code>X2_MAX_ATTACHMENT_SIZE</code> configuration parameter.
+ * @property {number} [maxMultipartRequestSize] Maximum allowed total size in
+ * bytes of a multipart request payload for the endpoint. Overrides the
+ * application's <code>X2_MAX_MULTIPART_REQUEST_SIZE</code> configuration
+ * parameter.
+ * @property {number} [handlerTimeout] Maximum time in milliseconds allowed for
+ * the endpoint handler to complete a call. Overrides the application's
+ * <code>X2_HANDLER_TIMEOUT</code> configuration parameter.
+ * @property {string} [allowedSecureOrigins] Regular expression pattern for
+ * the allowed secure CORS origins of the endpoint. Overrides the application's
+ * <code>X2_ALLOWED_SECURE_ORIGINS</code> configuration parameter (see
+ * {@link Application}).
+ * @property {string} [allowedPublicOrigins] Regular expression pattern for the
+ * additional allowed public CORS origins of the endpoint. Used only if
+ * <code>allowedSecureOrigins</code> is specified, in which case it overrides
+ * the application's <code>X2_ALLOWED_PUBLIC_ORIGINS</code> configuration
+ * parameter.
+ * @property {(string|string[])} [apiVersion] API version, or list of API
+ * versions, under which the endpoint is registered (see
+ * {@link Application#endpoint}). A version name may contain only letters,
+ * digits, underscores, dots and hyphens. If not specified, the endpoint is
+ * available under any API version as well as to unversioned requests.
+ * @property {string} [cacheability] Cacheability policy for the endpoint
+ * responses (see {@link CachePolicy}). For an endpoint bound to a resource,
+ * overrides the resource's policy. If not specified, the resource's policy, or
+ * "default" for an endpoint with a custom handler, is used.
+ * @property {number} [maxAge] Time in seconds, for which the response is
+ * considered fresh, for "private" and "public" cacheability.
+ * @property {(EndpointParameterDefinition[]|Object.<string,EndpointParameterDefinition>)}
+ * [uriParams] Definitions of the URI parameters by their positions in the URI
+ * pattern, or, if the endpoint URI is a template, by the parameter names.
+ * Array elements may be <code>null</code> for parameters that are not
+ * declared. The declared
+ * parameters are URI-decoded and converted to the declared types before the
+ * call is authorized. If a parameter is invalid, an HTTP 404 (Not Found)
+ * response is sent back to the caller. For an endpoint bound to a resource, the
+ * last parameter, which is the record id, is declared automatically according
+ * to the resource's id property type, unless declared explicitly.
+ * @property {Object.<string,EndpointParameterDefinition>} [queryParams]
+ * Definitions of the query string parameters by parameter names. The declared
+ * parameters are converted to the declared types before the call is
+ * authorized. If a parameter is invalid, an HTTP 400 (Bad Request) response is
+ * sent back to the caller with the validation errors in the response body.
+ * Undeclared parameters are left intact and, for an endpoint bound to a
+ * resource, are used as the records query (see {@link RecordsQuery}).
+ */
+
+/**
+ * Definition of the calls using a specific HTTP method supported by an
+ * endpoint (see {@link EndpointDefinition}).
+ *
+ * @typedef {Object} EndpointMethodDefinition
+ * @property {function} handleCall The call handler function. Receives
+ * {@link EndpointCallContext} and returns the same as
+ * {@link EndpointHandler#handleCall}.
+ * @property {boolean} [public] <code>true</code> to allow unauthenticated
+ * calls. If not specified, the endpoint definition's <code>public</code>
+ * attribute is used.
+ * @property {function} [isAllowed] Custom permission check. Receives the
+ * resource URI, the URI parameters and the actor (or <code>null</code> if
+ * unauthenticated) and returns <code>true</code> if the call is allowed (see
+ * {@link EndpointHandler#isAllowed}). If not specified, public calls and
+ * authenticated calls are allowed.
+ * @property {(ValidationFunction|ValidationFunction[])}
+ * [requestEntityValidator] Validation function, or chain of validation
+ * functions, for the request entity (see
+ * {@link EndpointHandler#getRequestEntityValidator}). If not specified, the
+ * calls do not expect a request entity.
+ * @property {string[]} [exposedResponseHeaders] Response headers used by the
+ * calls to communicate back to the client (see
+ * {@link HttpHeadersHandler#exposedResponseHeaders}).
+ */
+
+/**
+ * Module defaults definition object. The defaults apply to the endpoints and
+ * resources added to the module and can be overridden in their individual
+ * definitions.
+ *
+ * @typedef {Object} ModuleDefaults
+ * @property {boolean} [public] Default for the endpoint definitions'
+ * <code>public</code> attribute (see {@link EndpointDefinition}).
+ * @property {string} [cacheability] Default cacheability policy for the module
+ * resources and the endpoints that are not bound to a resource (see
+ * {@link CachePolicy}).
+ * @property {number} [maxAge] Default time in seconds, for which the response
+ * is considered fresh, used together with the default
+ * <code>cacheability</code>.
+ * @property {string} [allowedSecureOrigins] Default pattern for the allowed
+ * secure CORS origins of the module endpoints (see
+ * {@link EndpointDefinition}).
+ * @property {string} [allowedPublicOrigins] Default pattern for the additional
+ * allowed public CORS origins of the module endpoints, used together with the
+ * default <code>allowedSecureOrigins</code>.
+ */
+
+/**
+ * Endpoint URI or query parameter definition object.
+ *
+ * @typedef {Object} EndpointParameterDefinition
+ * @property {string} [type=string] Parameter value type. Can be one of the
+ * following:
+ *
+ * <dl>
+ * <dt>string<dd>A string.
+ * <dt>integer<dd>An integer number.
+ * <dt>number<dd>A number.
+ * <dt>boolean<dd>"true" or "false", converted to a Boolean value.
+ * <dt>uuid<dd>A UUID, converted to lower-case.
+ * <dt>date<dd>A date in "YYYY-MM-DD" format, converted to a <code>Date</code>
+ * at midnight UTC.
+ * <dt>datetime<dd>An ISO 8601 date and time, converted to a <code>Date</code>.
+ * </dl>
+ *
+ * @property {string} [name] For a URI parameter, name used in the validation
+ * errors. If not specified, the parameter's position is used.
+ * @property {boolean} [required=false] <code>true</code> if the parameter must
+ * be present.
+ * @property {boolean} [list=false] <code>true</code> if the parameter value is a
+ * comma-separated list of values of the declared type. For a query parameter,
+ * the parameter may also be repeated in the query string. The converted value
+ * is an array. A non-list query parameter must not be repeated.
+ * @property {Array.<*>} [values] Enumeration of allowed (converted) values.
+ * @property {number} [min] For an integer or number parameter, minimum allowed
+ * value.
+ * @property {number} [max] For an integer or number parameter, maximum allowed
+ * value.
+ * @property {(string|external:RegExp)} [pattern] For a string parameter,
+ * regular expression that the value must match.
  */
 
 /**
@@ -74,15 +319,30 @@ const Application = require('./application.js');
  * HTTP entity, which is the entity body plus a set of headers. The entity body
  * can be represented by an object, which is serialized by the framework using
  * the appropriate {@link Marshaller} implementation, by a
- * {@link external:Buffer} or by a {@link external:"stream.Readable"}.
+ * {@link external:Buffer}, by a {@link external:"stream.Readable"} or by a
+ * {@link SeekableStreamSource}.
  *
  * @typedef {Object} HttpEntity
- * @property {Object|external:Buffer|external:"stream.Readable"} data The entity
- * data.
+ * @property {Object|external:Buffer|external:"stream.Readable"|SeekableStreamSource} data
+ * The entity data.
  * @property {Object.<string,string>} [headers] The headers. The header names are
  * always all lower-case.
  */
 
+/**
+ * Source of response entity data, from which the data can be streamed starting
+ * at any position. Unlike a plain stream, it allows the framework to send only
+ * the byte ranges of the entity requested by the client (see HTTP "Range"
+ * request header), for example to resume an interrupted download of a large
+ * file.
+ *
+ * @typedef {Object} SeekableStreamSource
+ * @property {number} size Total size of the data in bytes.
+ * @property {function} createReadStream Function that receives the positions
+ * of the first and the last (inclusive) bytes to read and returns a
+ * {@link external:"stream.Readable"} with those bytes of the data.
+ */
+
 /**
  * Object validation function. The function is used, for example, to validate
  * incoming request entities after parsing them as objects. Besides validation,
@@ -93,10 +353,38 @@ const Application = require('./application.js');
  * indicate that it has encountered an error, after which continueing validation
  * has no purpose.
  *
+ * <p>The function may be asynchronous and return a promise, for example if it
+ * needs to check that a value is unique or that a referred record exists using
+ * the persistence service. The errors may be added to the accumulator until the
+ * promise is fulfilled. If the promise is rejected, the call processing is
+ * aborted with an HTTP 500 (Internal Server Error) response.
+ *
  * @callback ValidationFunction
  * @param {Object} obj Object to validate.
  * @param {ValidationErrors} errors Validation errors accumulator.
- * @returns {Object} The validated object.
+ * @param {Runtime} runtime Application runtime, which gives the function access
+ * to the application services.
+ * @returns {(Object|Promise.<Object>)} The validated object, or a promise of
+ * it.
+ */
+
+/**
+ * Validators of the current state of a resource (in the HTTP sense, that is
+ * what's behind a URI) used to evaluate conditional requests. Besides the
+ * standard properties described below, the object may include
+ * implementation-specific properties used by the handler that provided it.
+ *
+ * @typedef {Object} ResourceValidators
+ * @property {string} [etag] Entity tag including the double quotes and the "W/"
+ * prefix if weak.
+ * @property {Date} [lastModified] Last modification timestamp.
+ * @property {boolean} [preconditionRequired=false] <code>true</code> if calls
+ * that modify the resource must include a precondition.
+ * @property {string} [contentType] Content type of the resource representation
+ * sent by the handler. Used to tell if an HTTP 304 (Not Modified) response
+ * sent without calling the handler varies on the "Accept-Encoding" request
+ * header. If not specified, the representation is assumed to be an object,
+ * whose content type is negotiated using the "Accept" request header.
  */
 
 /**
@@ -139,6 +427,62 @@ const Application = require('./application.js');
  * @param {?Object} actor Actor making the call, or <code>null</code> if
  * unauthenticated.
  */
+/**
+ * Parse records query from the request URL query string. The method is
+ * optional and if not present in a handler, the query string is not parsed by
+ * the framework.
+ *
+ * <p>The method is called by the framework after the call is authorized and
+ * before the request entity is read. The parsed query is made available to the
+ * handler via {@link EndpointCallContext#recordsQuery} property. If the query
+ * is invalid, the call processing is aborted and an HTTP 400 (Bad Request)
+ * response is sent back to the caller.
+ *
+ * @function EndpointHandler#parseQuery
+ * @param {string} method HTTP method.
+ * @param {string} resourceUri Resource URI (path plus the query string).
+ * @param {string[]} uriParams URI parameter values extracted from the resource
+ * URI.
+ * @param {Object.<string,(string|string[])>} queryParams Query string
+ * parameters as parsed by Node.js "querystring" module.
+ * @returns {?RecordsQuery} The parsed query, or <code>null</code> if the
+ * described request does not use a records query.
+ * @throws {SyntaxError} If the query is invalid.
+ */
+/**
+ * Get validators of the current state of the resource. The method is optional
+ * and if not present in a handler, the framework does not evaluate any
+ * preconditions included in the requests.
+ *
+ * <p>For the calls that modify the resource (methods other than "GET" and
+ * "HEAD"), the method is called by the framework after the call is authorized
+ * and before the request entity is read. The framework evaluates the "If-Match"
+ * and "If-Unmodified-Since" HTTP request headers against the returned
+ * validators. If a precondition fails, the call processing is aborted and an
+ * HTTP 412 (Precondition Failed) response is sent back to the caller. If the
+ * request does not include any preconditions, but the validators tell that a
+ * precondition is required, an HTTP 428 (Precondition Required) response is
+ * sent.
+ *
+ * <p>For "GET" and "HEAD" calls, the method is called only if the request
+ * includes "If-None-Match" or "If-Modified-Since" HTTP request headers. If the
+ * returned validators tell that the resource has not been modified, an HTTP 304
+ * (Not Modified) response is sent back to the caller without calling the
+ * handler. Note, that the framework also evaluates these preconditions against
+ * the "ETag" and "Last-Modified" headers of a 200 response returned by the
+ * handler, so a handler can support conditional "GET" calls without
+ * implementing this method, just not as efficiently.
+ *
+ * @function EndpointHandler#getResourceValidators
+ * @param {string} method HTTP method.
+ * @param {string} resourceUri Resource URI (path plus the query string).
+ * @param {string[]} uriParams URI parameter values extracted from the resource
+ * URI.
+ * @param {Runtime} runtime Application runtime.
+ * @returns {(?ResourceValidators|Promise.<?ResourceValidators>)} The
+ * validators, or <code>null</code> if the resource does not exist, or a
+ * promise of it.
+ */
 /**
  * Get validation function for the object expected in the described request's
  * entity. The method is optional and if not present in a handler, the handler
@@ -149,8 +493,14 @@ const Application = require('./application.js');
  * is the soonest the incoming entity can be examined and, if invalid, rejected
  * by the handler. If the validation function reports errors, the call processing
  * is aborted, the handler is not called, and an HTTP 400 (Bad Request) response
- * is sent back to the caller with the validation errors object included in the
- * response body.
+ * is sent back to the caller with the validation errors included in the
+ * response body as <code>validationErrors</code> array of
+ * {@link ValidationError} objects.
+ *
+ * <p>The method may also return an array of validation functions, in which case
+ * the functions are called in a chain, each receiving the object returned by the
+ * previous one. If a function in the chain returns <code>null</code>, the rest
+ * of the chain is not called.
  *
  * <p>Note, that for multipart requests, the request entity is only the first
  * part in the request payload.
@@ -160,9 +510,10 @@ const Application = require('./application.js');
  * @param {string} resourceUri Resource URI (path plus the query string).
  * @param {string[]} uriParams URI parameter values extracted from the resource
  * URI.
- * @returns {ValidationFunction} Validation function for the incoming request
- * entity, or <code>null</code> if the handler does not expect a request entity
- * with the described request.
+ * @returns {(ValidationFunction|ValidationFunction[])} Validation function, or
+ * chain of validation functions, for the incoming request entity, or
+ * <code>null</code> if the handler does not expect a request entity with the
+ * described request.
  */
 //...
 /**
@@ -178,6 +529,23 @@ const Application = require('./application.js');
  * HTTP 500 (Internal Server Error) response.
  */
 
+/**
+ * Endpoint call interceptor function (see {@link Application#interceptor}).
+ *
+ * @callback EndpointCallInterceptor
+ * @param {EndpointCallContext} ctx Endpoint call context. Properties that are
+ * not yet available at the intercepted phase are <code>null</code>.
+ * @param {EndpointCallResponse} [response] The call response for the phases
+ * after the handler is called. For the "beforeResponse" phase of a call that
+ * was aborted before the handler is called, the response generated by the
+ * framework or returned by another interceptor.
+ * @returns {(?EndpointCallResponse|Promise.<?EndpointCallResponse>)} Response
+ * that short-circuits the call processing, or, for the phases after the
+ * handler is called, replaces the call response. Nothing or
+ * <code>null</code> to proceed normally. Can also be a promise of it. If the
+ * promise is rejected, an HTTP 500 (Internal Server Error) response is sent.
+ */
+
 /**
  * Service provider. Service providers are factories for services. When a service
  * is registered in the application, its provider factory is associated with the
@@ -233,6 +601,12 @@ const Application = require('./application.js');
  * @external Error
  * @see {@link https://nodejs.org/api/errors.html#errors_class_error}
  */
+/**
+ * JavaScript <code>RegExp</code> object.
+ *
+ * @external RegExp
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/RegExp}
+ */
 /**
  * Parsed URL object provided by Node.js "URL" module.
  *
@@ -251,6 +625,18 @@ const Application = require('./application.js');
  * @external "stream.Readable"
  * @see {@link https://nodejs.org/dist/latest-v5.x/docs/api/stream.html#stream_class_stream_readable}
  */
+/**
+ * Node.js <code>Transform</code> stream object.
+ *
+ * @external "stream.Transform"
+ * @see {@link https://nodejs.org/api/stream.html#class-streamtransform}
+ */
+/**
+ * <code>AbortSignal</code> object provided by Node.js.
+ *
+ * @external AbortSignal
+ * @see {@link https://nodejs.org/api/globals.html#class-abortsignal}
+ */
 /**
  * Node.js socket object.
  *
@@ -395,5 +781,18 @@ module.exports = {
 	createApplication() {
 
 		return new Application(this._configFn, this._logger);
+	},
+
+	/**
+	 * Create application module object, which can be mounted into the
+	 * application using {@link Application#mount}.
+	 *
+	 * @param {string} name Module name.
+	 * @param {ModuleDefaults} [defaults] Module defaults.
+	 * @returns {ApplicationModule} The module object.
+	 */
+	createModule(name, defaults) {
+
+		return new ApplicationModule(name, defaults);
 	}
 };
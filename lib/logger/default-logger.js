@@ -26,7 +26,7 @@ class DefaultLogger {
 		console.info(...arguments);
 	}
 
-	warning(msg, vals) {
+	warn(msg, vals) {
 
 		console.warn(...arguments);
 	}
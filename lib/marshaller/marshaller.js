@@ -7,6 +7,13 @@
  * example, by default, the framework pre-registers a JSON marshaller under name
  * "marshaller:application/json".
  *
+ * <p>The content types of the registered marshallers are also the content
+ * types, among which the framework chooses when it negotiates the content type
+ * of a response entity with the client (see
+ * {@link EndpointCallResponse#entity}). When the client accepts several of the
+ * types equally, the types are preferred in the order, in which the marshallers
+ * were registered, with the pre-registered JSON marshaller being the first.
+ *
  * @interface Marshaller
  */
 /**
@@ -0,0 +1,244 @@
+"use strict";
+
+/**
+ * Maximum size of a part's header section in bytes.
+ *
+ * @private
+ * @type {number}
+ */
+const MAX_PART_HEADERS_SIZE = 8192;
+
+/**
+ * Incremental parser of multipart HTTP request payloads (such as
+ * "multipart/mixed" and "multipart/form-data"). The payload is fed to the
+ * parser chunk by chunk as it is read from the request, so that the size
+ * limits can be enforced before the whole payload is received. The parsed parts
+ * are collected in memory.
+ *
+ * <p>If the payload is malformed, the parser methods throw a
+ * <code>SyntaxError</code>. If a part exceeds its size limit, the methods throw
+ * an <code>Error</code> with <code>code</code> property "payload_too_large".
+ *
+ * @private
+ */
+class MultipartParser {
+
+	/**
+	 * Create new parser.
+	 *
+	 * @param {string} boundary The boundary from the payload content type.
+	 * @param {number} maxFirstPartSize Maximum size of the first part's body in
+	 * bytes.
+	 * @param {number} maxPartSize Maximum size of any subsequent part's body in
+	 * bytes.
+	 */
+	constructor(boundary, maxFirstPartSize, maxPartSize) {
+
+		this._delimiter = new Buffer('\r\n--' + boundary, 'binary');
+		this._maxFirstPartSize = maxFirstPartSize;
+		this._maxPartSize = maxPartSize;
+
+		// the delimiter is preceded by a line break, which the first delimiter
+		// may not have
+		this._buf = new Buffer('\r\n', 'binary');
+		this._state = 'PREAMBLE';
+
+		this._parts = new Array();
+		this._partHeaders = null;
+		this._partBufs = null;
+		this._partSize = 0;
+	}
+
+
+	/**
+	 * Get boundary from the multipart payload content type.
+	 *
+	 * @param {string} contentType The content type header value.
+	 * @returns {?string} The boundary, or <code>null</code> if not present or
+	 * invalid.
+	 */
+	static getBoundary(contentType) {
+
+		const match =
+			/;\s*boundary=(?:"([^"]{1,70})"|([^\s;"]{1,70}))\s*(?:;|$)/i.exec(
+				contentType);
+
+		return (match ? (match[1] || match[2]) : null);
+	}
+
+	/**
+	 * Feed next chunk of the payload to the parser.
+	 *
+	 * @param {external:Buffer} chunk The chunk.
+	 * @throws {SyntaxError} If the payload is malformed.
+	 * @throws {Error} If a part is too large.
+	 */
+	write(chunk) {
+
+		this._buf = (
+			this._buf.length > 0 ? Buffer.concat([ this._buf, chunk ]) : chunk);
+
+		// process the buffer until more data is needed
+		while (this._state !== 'END' && this._step());
+
+		// ignore the epilogue
+		if (this._state === 'END')
+			this._buf = new Buffer(0);
+	}
+
+	/**
+	 * Tell the parser that the payload is complete.
+	 *
+	 * @returns {HttpEntity[]} The parsed parts. Each part has
+	 * <code>headers</code> with all lower-case header names and
+	 * <code>data</code> buffer with the part body.
+	 * @throws {SyntaxError} If the payload is incomplete.
+	 */
+	end() {
+
+		if (this._state !== 'END')
+			throw new SyntaxError('Incomplete multipart payload.');
+
+		return this._parts;
+	}
+
+	/**
+	 * Perform single parsing step.
+	 *
+	 * @private
+	 * @returns {boolean} <code>true</code> if the step consumed data from the
+	 * buffer and the parsing can continue, or <code>false</code> if more data
+	 * is needed.
+	 */
+	_step() {
+
+		const buf = this._buf;
+		const delimiter = this._delimiter;
+
+		switch (this._state) {
+
+		case 'PREAMBLE': {
+			const delimInd = buf.indexOf(delimiter);
+			if (delimInd < 0) {
+				this._buf = buf.slice(
+					Math.max(buf.length - delimiter.length + 1, 0));
+				return false;
+			}
+			this._buf = buf.slice(delimInd + delimiter.length);
+			this._state = 'DELIMITER';
+			return true;
+		}
+
+		case 'DELIMITER': {
+			if (buf.length < 2)
+				return false;
+			if (buf.toString('binary', 0, 2) === '--') {
+				this._state = 'END';
+				return false;
+			}
+			const eolInd = buf.indexOf('\r\n');
+			if (eolInd < 0) {
+				if (buf.length > MAX_PART_HEADERS_SIZE)
+					throw new SyntaxError('Invalid multipart delimiter line.');
+				return false;
+			}
+			if (!/^[ \t]*$/.test(buf.toString('binary', 0, eolInd)))
+				throw new SyntaxError('Invalid multipart delimiter line.');
+			this._buf = buf.slice(eolInd + 2);
+			this._state = 'HEADERS';
+			return true;
+		}
+
+		case 'HEADERS': {
+			let headersEnd, bodyStart;
+			if (buf.toString('binary', 0, 2) === '\r\n') {
+				headersEnd = 0;
+				bodyStart = 2;
+			} else {
+				headersEnd = buf.indexOf('\r\n\r\n');
+				bodyStart = headersEnd + 4;
+			}
+			if (headersEnd < 0) {
+				if (buf.length > MAX_PART_HEADERS_SIZE)
+					throw new SyntaxError('Multipart part headers too large.');
+				return false;
+			}
+			this._partHeaders = parseHeaders(
+				buf.toString('utf8', 0, headersEnd));
+			this._partBufs = new Array();
+			this._partSize = 0;
+			this._buf = buf.slice(bodyStart);
+			this._state = 'BODY';
+			return true;
+		}
+
+		case 'BODY': {
+			const delimInd = buf.indexOf(delimiter);
+			const dataEnd = (
+				delimInd >= 0 ? delimInd :
+					Math.max(buf.length - delimiter.length + 1, 0));
+			if (dataEnd > 0)
+				this._addPartData(buf.slice(0, dataEnd));
+			if (delimInd < 0) {
+				this._buf = buf.slice(dataEnd);
+				return false;
+			}
+			this._parts.push({
+				headers: this._partHeaders,
+				data: Buffer.concat(this._partBufs, this._partSize)
+			});
+			this._partHeaders = null;
+			this._partBufs = null;
+			this._buf = buf.slice(delimInd + delimiter.length);
+			this._state = 'DELIMITER';
+			return true;
+		}
+		}
+	}
+
+	/**
+	 * Add data to the current part's body.
+	 *
+	 * @private
+	 * @param {external:Buffer} data The data.
+	 * @throws {Error} If the part becomes too large.
+	 */
+	_addPartData(data) {
+
+		this._partSize += data.length;
+		if (this._partSize > (
+			this._parts.length === 0 ?
+				this._maxFirstPartSize : this._maxPartSize)) {
+			const err = new Error('Multipart part is too large.');
+			err.code = 'payload_too_large';
+			throw err;
+		}
+
+		this._partBufs.push(data);
+	}
+}
+
+/**
+ * Parse part header section.
+ *
+ * @private
+ * @param {string} str The header section, sans the trailing empty line.
+ * @returns {Object.<string,string>} The headers by all lower-case names.
+ * @throws {SyntaxError} If the header section is malformed.
+ */
+function parseHeaders(str) {
+
+	const headers = {};
+	if (str.length > 0)
+		str.split('\r\n').forEach(line => {
+			const colonInd = line.indexOf(':');
+			if (colonInd <= 0)
+				throw new SyntaxError('Invalid multipart part header.');
+			headers[line.substring(0, colonInd).trim().toLowerCase()] =
+				line.substring(colonInd + 1).trim();
+		});
+
+	return headers;
+}
+
+module.exports = MultipartParser;
@@ -0,0 +1,342 @@
+"use strict";
+
+const crypto = require('crypto');
+
+/**
+ * {@link MemoryPersistence} service provider.
+ *
+ * @implements {ServiceProvider}
+ */
+class MemoryPersistenceProvider {
+
+	/**
+	 * Returns instance of {@link MemoryPersistence}.
+	 */
+	createService(runtime) {
+
+		return new MemoryPersistence(runtime);
+	}
+}
+
+/**
+ * Persistence service implementation that keeps all resource records in memory.
+ * The records are lost when the application is shut down. The implementation is
+ * suitable for testing and prototyping.
+ *
+ * <p>Numeric record ids are assigned sequentially starting from 1. String record
+ * ids are random hexadecimal strings. The records are copied when stored and
+ * returned, so modifying a returned record does not affect the stored one.
+ *
+ * <p>This is the default persistence service pre-registered by the framework
+ * and used unless the application registers a different implementation under
+ * service name "persistence".
+ *
+ * @implements {Persistence}
+ */
+class MemoryPersistence {
+
+	/**
+	 * Create new service instance. Used only by the provider.
+	 *
+	 * @param {Runtime} runtime Application runtime.
+	 */
+	constructor(runtime) {
+
+		this._logger = runtime.logger;
+
+		this._collections = new Map();
+	}
+
+
+	fetch(resource, id) {
+
+		const record = this._getCollection(resource).records.get(id);
+
+		return Promise.resolve(record ? copy(record) : null);
+	}
+
+	query(resource, query) {
+
+		// select matching records
+		let records = new Array();
+		this._getCollection(resource).records.forEach(record => {
+			if (!query || query.filter.every(cond => matches(record, cond)))
+				records.push(record);
+		});
+
+		// sort the records
+		if (query && (query.sort.length > 0))
+			records.sort((r1, r2) => {
+				for (let el of query.sort) {
+					const res = compare(
+						getValue(r1, el.path), getValue(r2, el.path));
+					if (res !== 0)
+						return (el.descending ? -res : res);
+				}
+				return 0;
+			});
+
+		// apply the range
+		const range = (query && query.range);
+		if (range)
+			records = records.slice(
+				range.offset,
+				(range.limit === null ? undefined : range.offset + range.limit));
+
+		// return copies of the records
+		return Promise.resolve(records.map(copy));
+	}
+
+	insert(resource, record) {
+
+		const collection = this._getCollection(resource);
+
+		// assign new id
+		let id;
+		if (resource.properties.get(resource.idPropertyName).type === 'number')
+			id = ++collection.lastId;
+		else do {
+			id = crypto.randomBytes(16).toString('hex');
+		} while (collection.records.has(id));
+
+		// store the record
+		const storedRecord = copy(record);
+		storedRecord[resource.idPropertyName] = id;
+		if (resource.versionPropertyName)
+			storedRecord[resource.versionPropertyName] = 1;
+		if (resource.lastModifiedPropertyName)
+			storedRecord[resource.lastModifiedPropertyName] = new Date();
+		collection.records.set(id, storedRecord);
+
+		// return copy of the stored record
+		return Promise.resolve(copy(storedRecord));
+	}
+
+	update(resource, id, patch, version) {
+
+		// get the stored record
+		const storedRecord = this._getCollection(resource).records.get(id);
+		if (!storedRecord)
+			return Promise.resolve(null);
+
+		// check the version
+		if (!checkVersion(resource, storedRecord, version))
+			return Promise.reject(versionConflict(resource, id));
+
+		// apply the patch
+		Object.keys(patch).forEach(propName => {
+			if ((propName === resource.idPropertyName)
+				|| (propName === resource.versionPropertyName)
+				|| (propName === resource.lastModifiedPropertyName))
+				return;
+			const val = patch[propName];
+			if ((val === null) || (val === undefined))
+				delete storedRecord[propName];
+			else
+				storedRecord[propName] = copy(val);
+		});
+
+		// update the version and the modification timestamp
+		if (resource.versionPropertyName)
+			storedRecord[resource.versionPropertyName]++;
+		if (resource.lastModifiedPropertyName)
+			storedRecord[resource.lastModifiedPropertyName] = new Date();
+
+		// return copy of the updated record
+		return Promise.resolve(copy(storedRecord));
+	}
+
+	delete(resource, id, version) {
+
+		// get the stored record
+		const records = this._getCollection(resource).records;
+		const storedRecord = records.get(id);
+		if (!storedRecord)
+			return Promise.resolve(false);
+
+		// check the version
+		if (!checkVersion(resource, storedRecord, version))
+			return Promise.reject(versionConflict(resource, id));
+
+		// delete the record
+		return Promise.resolve(records.delete(id));
+	}
+
+	/**
+	 * Discards all stored records.
+	 */
+	shutdown() {
+
+		this._collections.clear();
+	}
+
+
+	/**
+	 * Get records collection for the resource, creating it if necessary.
+	 *
+	 * @private
+	 * @param {Resource} resource The resource.
+	 * @returns {Object} The collection object with <code>records</code> map and
+	 * <code>lastId</code> number.
+	 */
+	_getCollection(resource) {
+
+		let collection = this._collections.get(resource.name);
+		if (!collection) {
+			this._logger.debug(
+				'creating in-memory collection for resource "%s"',
+				resource.name);
+			this._collections.set(resource.name, collection = {
+				records: new Map(),
+				lastId: 0
+			});
+		}
+
+		return collection;
+	}
+}
+
+/**
+ * Check if the stored record has the expected version.
+ *
+ * @private
+ * @param {Resource} resource The resource.
+ * @param {Object} storedRecord The stored record.
+ * @param {number} [version] Expected version, if any.
+ * @returns {boolean} <code>true</code> if no version is expected, the resource
+ * is not versioned or the record has the expected version.
+ */
+function checkVersion(resource, storedRecord, version) {
+
+	return ((version === undefined) || (version === null)
+		|| !resource.versionPropertyName
+		|| (storedRecord[resource.versionPropertyName] === version));
+}
+
+/**
+ * Create version conflict error.
+ *
+ * @private
+ * @param {Resource} resource The resource.
+ * @param {(string|number)} id Record id.
+ * @returns {external:Error} The error.
+ */
+function versionConflict(resource, id) {
+
+	const err = new Error(
+		'Record ' + resource.name + '#' + id + ' version has changed.');
+	err.code = 'version_conflict';
+
+	return err;
+}
+
+/**
+ * Get record property value.
+ *
+ * @private
+ * @param {Object} record The record.
+ * @param {string} path Property path in dot notation.
+ * @returns {*} The value, or <code>undefined</code> if absent.
+ */
+function getValue(record, path) {
+
+	let val = record;
+	for (let propName of path.split('.')) {
+		if (typeof val !== 'object' || (val === null))
+			return undefined;
+		val = val[propName];
+	}
+
+	return (val === null ? undefined : val);
+}
+
+/**
+ * Compare two property values. Absent values go after present values.
+ *
+ * @private
+ * @param {*} v1 First value.
+ * @param {*} v2 Second value.
+ * @returns {number} Negative, zero or positive number.
+ */
+function compare(v1, v2) {
+
+	if (v1 === undefined)
+		return (v2 === undefined ? 0 : 1);
+	if (v2 === undefined)
+		return -1;
+
+	if (v1 instanceof Date)
+		v1 = v1.getTime();
+	if (v2 instanceof Date)
+		v2 = v2.getTime();
+
+	return (v1 < v2 ? -1 : (v1 > v2 ? 1 : 0));
+}
+
+/**
+ * Tell if record matches a filter condition.
+ *
+ * @private
+ * @param {Object} record The record.
+ * @param {RecordsFilterCondition} cond The filter condition.
+ * @returns {boolean} <code>true</code> if matches.
+ */
+function matches(record, cond) {
+
+	const val = getValue(record, cond.path);
+
+	switch (cond.test) {
+	case 'present':
+		return (val !== undefined);
+	case 'absent':
+		return (val === undefined);
+	case 'ne':
+		return ((val === undefined) || (compare(val, cond.value) !== 0));
+	}
+
+	if (val === undefined)
+		return false;
+
+	switch (cond.test) {
+	case 'eq':
+		return (compare(val, cond.value) === 0);
+	case 'lt':
+		return (compare(val, cond.value) < 0);
+	case 'gt':
+		return (compare(val, cond.value) > 0);
+	case 'in':
+		return cond.value.some(v => (compare(val, v) === 0));
+	case 'pattern':
+		return cond.value.test(val);
+	}
+
+	return false;
+}
+
+/**
+ * Make a deep copy of a record or a property value.
+ *
+ * @private
+ * @param {*} val Value to copy.
+ * @returns {*} The copy.
+ */
+function copy(val) {
+
+	if (typeof val !== 'object' || (val === null))
+		return val;
+
+	if (val instanceof Date)
+		return new Date(val.getTime());
+
+	if (Array.isArray(val))
+		return val.map(copy);
+
+	const res = {};
+	Object.keys(val).forEach(k => {
+		res[k] = copy(val[k]);
+	});
+
+	return res;
+}
+
+module.exports = MemoryPersistenceProvider;
@@ -0,0 +1,90 @@
+"use strict";
+
+/**
+ * Persistence is a service used by the application to store and retrieve the
+ * resource records. In particular, it is used by the handlers generated by the
+ * framework for the endpoints bound to resources (see
+ * {@link ResourceEndpointHandler}).
+ *
+ * <p>All methods of the service are asynchronous and return promises. If an
+ * unexpected error happens in the persistence service (such as a lost database
+ * connection), the returned promise is rejected with an {@link external:Error}
+ * object, which normally results in a 500 error sent back to the caller.
+ *
+ * <p>If the resource defines record version and last modification timestamp
+ * properties (see {@link ResourceDefinition}), the persistence service
+ * maintains them: when a record is inserted, the version is set to 1 and when
+ * the record is updated, the version is incremented. The last modification
+ * timestamp is set to the current time on both occasions.
+ *
+ * <p>Methods that modify existing records can take the expected record version.
+ * If the stored record version is different, the returned promise is rejected
+ * with an {@link external:Error} object that has <code>code</code> property
+ * set to "version_conflict".
+ *
+ * <p>The service is registered under name "persistence". By default,
+ * {@link MemoryPersistence} is pre-registered by the framework. Applications
+ * that use a real database register their own implementation under the same
+ * name using {@link Application#service}.
+ *
+ * @interface Persistence
+ */
+/**
+ * Fetch single record.
+ *
+ * @function Persistence#fetch
+ * @param {Resource} resource The resource.
+ * @param {(string|number)} id Record id.
+ * @returns {Promise.<?Object>} Promise that resolves to the record, or to
+ * <code>null</code> if no such record.
+ */
+/**
+ * Query resource records.
+ *
+ * @function Persistence#query
+ * @param {Resource} resource The resource.
+ * @param {?RecordsQuery} [query] The query specifying records filter, sort
+ * order and range. If not provided, all records are returned in no particular
+ * order. Records that do not have the property used in a filter condition
+ * match only "ne" and "absent" tests. Records that do not have the property
+ * used to sort the records go after the records that have it.
+ * @returns {Promise.<Object[]>} Promise that resolves to the matching records.
+ */
+/**
+ * Insert new record. The id of the new record is assigned by the persistence
+ * service. The version and the last modification timestamp, if defined for the
+ * resource, are set as well.
+ *
+ * @function Persistence#insert
+ * @param {Resource} resource The resource.
+ * @param {Object} record The new record without the id property.
+ * @returns {Promise.<Object>} Promise that resolves to the stored record
+ * including the assigned id.
+ */
+/**
+ * Update existing record.
+ *
+ * @function Persistence#update
+ * @param {Resource} resource The resource.
+ * @param {(string|number)} id Record id.
+ * @param {Object} patch The patch, which includes only the top-level record
+ * properties that are being updated. A property with <code>null</code> value
+ * is removed from the record.
+ * @param {number} [version] Expected record version. If specified and the
+ * stored record has a different version, the record is not updated and the
+ * returned promise is rejected with "version_conflict" error.
+ * @returns {Promise.<?Object>} Promise that resolves to the updated record, or
+ * to <code>null</code> if no such record.
+ */
+/**
+ * Delete record.
+ *
+ * @function Persistence#delete
+ * @param {Resource} resource The resource.
+ * @param {(string|number)} id Record id.
+ * @param {number} [version] Expected record version. If specified and the
+ * stored record has a different version, the record is not deleted and the
+ * returned promise is rejected with "version_conflict" error.
+ * @returns {Promise.<boolean>} Promise that resolves to <code>true</code> if
+ * the record was deleted, or to <code>false</code> if no such record.
+ */
@@ -0,0 +1,242 @@
+"use strict";
+
+/**
+ * Resource records shaper. The shaper applies the properties projection and the
+ * references expansion specified in a {@link RecordsQuery} to the records
+ * before they are sent back to the API client. The referred records are fetched
+ * using the {@link Persistence} service. Each referred record is fetched only
+ * once per shaper instance.
+ */
+class RecordShaper {
+
+	/**
+	 * Create new shaper.
+	 *
+	 * @param {Resource} resource The resource.
+	 * @param {RecordsQuery} query The query with projection and expansion
+	 * specification.
+	 * @param {Persistence} persistence The persistence service used to fetch the
+	 * referred records.
+	 */
+	constructor(resource, query, persistence) {
+
+		this._resource = resource;
+		this._persistence = persistence;
+
+		this._expandTree = (
+			query.expand.length > 0 ? buildTree(query.expand, false) : null);
+		this._propsTree = (query.props ? buildTree(query.props, true) : null);
+
+		this._fetched = new Map();
+	}
+
+
+	/**
+	 * Tells if the shaper needs to do anything at all.
+	 *
+	 * @type {boolean}
+	 * @readonly
+	 */
+	get active() {
+
+		return ((this._expandTree !== null) || (this._propsTree !== null));
+	}
+
+	/**
+	 * Shape records.
+	 *
+	 * @param {Object[]} records The records. The records may be modified.
+	 * @returns {Promise.<Object[]>} Promise of the shaped records.
+	 */
+	shape(records) {
+
+		const resource = this._resource;
+
+		return Promise.all(records.map(record => (
+			this._expandTree ?
+				this._expandObject(
+					record, resource.properties, this._expandTree) :
+				record
+		))).then(records => (
+			this._propsTree ?
+				records.map(record => this._projectObject(
+					record, resource.properties, resource.idPropertyName,
+					this._propsTree)) :
+				records
+		));
+	}
+
+
+	/**
+	 * Expand references in an object.
+	 *
+	 * @private
+	 * @param {Object} obj The object (a record or a nested object).
+	 * @param {Map.<string,ResourceProperty>} props Object property descriptors.
+	 * @param {Object} tree Expansion tree.
+	 * @returns {Promise.<Object>} Promise of the object with expanded
+	 * references.
+	 */
+	_expandObject(obj, props, tree) {
+
+		return Promise.all(Object.keys(tree).map(propName => (
+			this._expandValue(obj[propName], props.get(propName), tree[propName])
+				.then(val => {
+					if (val !== undefined)
+						obj[propName] = val;
+				})
+		))).then(() => obj);
+	}
+
+	/**
+	 * Expand references in a property value.
+	 *
+	 * @private
+	 * @param {*} val The property value.
+	 * @param {ResourceProperty} prop The property descriptor.
+	 * @param {Object} tree Expansion subtree for the property.
+	 * @returns {Promise.<*>} Promise of the value with expanded references.
+	 */
+	_expandValue(val, prop, tree) {
+
+		if ((val === undefined) || (val === null))
+			return Promise.resolve(val);
+
+		switch (prop.type) {
+		case 'array':
+			return Promise.all(
+				val.map(element => this._expandValue(element, prop.element, tree)));
+		case 'object':
+			return this._expandObject(val, prop.properties, tree);
+		case 'ref':
+			return this._fetch(prop.refTargetResource, val).then(record => (
+				record ?
+					this._expandObject(
+						record, prop.refTargetResource.properties, tree) :
+					val
+			));
+		}
+
+		return Promise.resolve(val);
+	}
+
+	/**
+	 * Fetch referred record.
+	 *
+	 * @private
+	 * @param {Resource} resource Referred resource.
+	 * @param {(string|number)} id Referred record id.
+	 * @returns {Promise.<?Object>} Promise of the referred record.
+	 */
+	_fetch(resource, id) {
+
+		const key = resource.name + '#' + id;
+		let recordPromise = this._fetched.get(key);
+		if (!recordPromise)
+			this._fetched.set(
+				key, recordPromise = this._persistence.fetch(resource, id));
+
+		return recordPromise;
+	}
+
+	/**
+	 * Apply properties projection to an object.
+	 *
+	 * @private
+	 * @param {Object} obj The object (a record or a nested object).
+	 * @param {Map.<string,ResourceProperty>} props Object property descriptors.
+	 * @param {?string} idPropName Name of the id property to always include if
+	 * the object is a record.
+	 * @param {Object} tree Projection tree.
+	 * @returns {Object} New object with only the included properties.
+	 */
+	_projectObject(obj, props, idPropName, tree) {
+
+		const res = {};
+
+		if (idPropName && (obj[idPropName] !== undefined))
+			res[idPropName] = obj[idPropName];
+
+		Object.keys(tree).forEach(propName => {
+			const val = obj[propName];
+			if (val === undefined)
+				return;
+			const subtree = tree[propName];
+			res[propName] = (
+				subtree === true ? val :
+					this._projectValue(val, props.get(propName), subtree));
+		});
+
+		return res;
+	}
+
+	/**
+	 * Apply properties projection to a property value.
+	 *
+	 * @private
+	 * @param {*} val The property value.
+	 * @param {ResourceProperty} prop The property descriptor.
+	 * @param {Object} tree Projection subtree for the property.
+	 * @returns {*} The projected value.
+	 */
+	_projectValue(val, prop, tree) {
+
+		if (typeof val !== 'object' || (val === null))
+			return val;
+
+		switch (prop.type) {
+		case 'array':
+			return val.map(
+				element => this._projectValue(element, prop.element, tree));
+		case 'object':
+			return this._projectObject(val, prop.properties, null, tree);
+		case 'ref':
+			return this._projectObject(
+				val, prop.refTargetResource.properties,
+				prop.refTargetResource.idPropertyName, tree);
+		}
+
+		return val;
+	}
+}
+
+/**
+ * Build tree from a list of property paths. In the tree, each path element is
+ * a key, whose value is either a subtree object, or <code>true</code> for the
+ * last path elements.
+ *
+ * @private
+ * @param {string[]} paths Property paths in dot notation.
+ * @param {boolean} shorterWins <code>true</code> if a shorter path overrides
+ * all longer paths that it prefixes (used for the projection, where a shorter
+ * path means the whole property value), <code>false</code> if the longer paths
+ * extend the shorter ones (used for the expansion).
+ * @returns {Object} The tree.
+ */
+function buildTree(paths, shorterWins) {
+
+	const tree = {};
+	paths.forEach(path => {
+		const pathEls = path.split('.');
+		const lastInd = pathEls.length - 1;
+		let node = tree;
+		for (let i = 0; i < lastInd; i++) {
+			const propName = pathEls[i];
+			if (node[propName] === true) {
+				if (shorterWins)
+					return;
+				node[propName] = {};
+			} else if (!node[propName]) {
+				node[propName] = {};
+			}
+			node = node[propName];
+		}
+		const propName = pathEls[lastInd];
+		if (shorterWins || !node[propName])
+			node[propName] = true;
+	});
+
+	return tree;
+}
+
+module.exports = RecordShaper;
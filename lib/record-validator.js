@@ -0,0 +1,243 @@
+"use strict";
+
+/**
+ * Resource record validator. The validator checks records submitted by the API
+ * clients against the resource definition. The following constraint
+ * violations are reported:
+ *
+ * <dl>
+ * <dt>required<dd>A required property is missing or is <code>null</code>.
+ * <dt>readOnly<dd>A value is provided for a read-only property.
+ * <dt>unknown<dd>The property is not defined in the resource definition.
+ * <dt>type<dd>The property value is of a wrong type. The violation parameters
+ * include the expected property type.
+ * <dt>minLength, maxLength<dd>A string value is too short or too long. The
+ * violation parameters include the limit.
+ * <dt>pattern<dd>A string value does not match the pattern. The violation
+ * parameters include the pattern.
+ * <dt>min, max<dd>A number value is out of range. The violation parameters
+ * include the limit.
+ * <dt>values<dd>The value is not one of the allowed values. The violation
+ * parameters are the allowed values.
+ * <dt>minItems, maxItems<dd>An array has too few or too many elements. The
+ * violation parameters include the limit.
+ * </dl>
+ *
+ * <p>The value constraints are checked only if the value is of the correct type.
+ * Custom constraint functions specified in the property definitions (see
+ * {@link PropertyDefinition}) are called after the declarative ones and may
+ * report any other constraint violations. If any of the custom constraint
+ * functions is asynchronous, the validation methods return a promise.
+ *
+ * <p>Values of "datetime" properties are converted from strings to
+ * <code>Date</code> objects.
+ */
+class RecordValidator {
+
+	/**
+	 * Create new validator. The constructor is used internally by the
+	 * framework.
+	 *
+	 * @param {Resource} resource The resource.
+	 */
+	constructor(resource) {
+
+		this._resource = resource;
+	}
+
+
+	/**
+	 * Validate new record. Can be used as a {@link ValidationFunction}.
+	 *
+	 * @param {Object} record The record.
+	 * @param {ValidationErrors} errors Validation errors accumulator.
+	 * @param {Runtime} runtime Application runtime.
+	 * @returns {(Object|Promise.<Object>)} The record, or <code>null</code> if
+	 * the record is not an object, or a promise of it.
+	 */
+	validateNew(record, errors, runtime) {
+
+		const pending = new Array();
+
+		return complete(this._validateObject(
+			record, this._resource.properties, '', errors, runtime, pending,
+			false), pending);
+	}
+
+	/**
+	 * Validate patch for an existing record. The patch contains only those
+	 * properties that are being updated. A <code>null</code> value means that
+	 * the property is being removed from the record. Can be used as a
+	 * {@link ValidationFunction}.
+	 *
+	 * @param {Object} patch The patch.
+	 * @param {ValidationErrors} errors Validation errors accumulator.
+	 * @param {Runtime} runtime Application runtime.
+	 * @returns {(Object|Promise.<Object>)} The patch, or <code>null</code> if the
+	 * patch is not an object, or a promise of it.
+	 */
+	validatePatch(patch, errors, runtime) {
+
+		const pending = new Array();
+
+		return complete(this._validateObject(
+			patch, this._resource.properties, '', errors, runtime, pending,
+			true), pending);
+	}
+
+
+	/**
+	 * Validate object.
+	 *
+	 * @private
+	 * @param {*} obj The object.
+	 * @param {Map.<string,ResourceProperty>} props Descriptors of the object
+	 * properties.
+	 * @param {string} path Path of the object property, or empty string for the
+	 * top record object.
+	 * @param {ValidationErrors} errors Validation errors accumulator.
+	 * @param {Runtime} runtime Application runtime.
+	 * @param {Promise[]} pending Accumulator for the promises returned by
+	 * asynchronous custom constraints.
+	 * @param {boolean} patch <code>true</code> if the object is a patch.
+	 * @returns {Object} The object, or <code>null</code> if not an object.
+	 */
+	_validateObject(obj, props, path, errors, runtime, pending, patch) {
+
+		// make sure it is an object
+		if (typeof obj !== 'object' || (obj === null) || Array.isArray(obj)) {
+			errors.add(path, 'type', [ 'object' ]);
+			return null;
+		}
+
+		// check for unknown properties
+		const prefix = (path.length > 0 ? path + '.' : '');
+		Object.keys(obj).forEach(propName => {
+			if (!props.has(propName))
+				errors.add(prefix + propName, 'unknown');
+		});
+
+		// check the properties
+		props.forEach((prop, propName) => {
+			const propPath = prefix + propName;
+			const val = obj[propName];
+			if ((val === undefined) || (val === null)) {
+				if (prop.required && !prop.readOnly
+					&& (!patch || (val === null)))
+					errors.add(propPath, 'required');
+				else if (prop.readOnly && (val !== undefined))
+					errors.add(propPath, 'readOnly');
+			} else if (prop.readOnly) {
+				errors.add(propPath, 'readOnly');
+			} else {
+				obj[propName] = this._validateValue(
+					val, prop, propPath, errors, runtime, pending);
+			}
+		});
+
+		// return the object
+		return obj;
+	}
+
+	/**
+	 * Validate property value.
+	 *
+	 * @private
+	 * @param {*} val The value, not <code>null</code> nor
+	 * <code>undefined</code>.
+	 * @param {ResourceProperty} prop Property descriptor.
+	 * @param {string} path Property path.
+	 * @param {ValidationErrors} errors Validation errors accumulator.
+	 * @param {Runtime} runtime Application runtime.
+	 * @param {Promise[]} pending Accumulator for the promises returned by
+	 * asynchronous custom constraints.
+	 * @returns {*} The value, possibly converted.
+	 */
+	_validateValue(val, prop, path, errors, runtime, pending) {
+
+		let valid;
+		switch (prop.type) {
+		case 'string':
+			valid = (typeof val === 'string');
+			break;
+		case 'number':
+			valid = (typeof val === 'number') && isFinite(val);
+			break;
+		case 'boolean':
+			valid = (typeof val === 'boolean');
+			break;
+		case 'datetime':
+			if (typeof val === 'string') {
+				const date = new Date(val);
+				if ((valid = !isNaN(date.getTime())))
+					val = date;
+			} else {
+				valid = (val instanceof Date) && !isNaN(val.getTime());
+			}
+			break;
+		case 'object':
+			if (this._validateObject(
+				val, prop.properties, path, errors, runtime, pending, false))
+				this._checkConstraints(val, prop, path, errors, runtime, pending);
+			return val;
+		case 'array':
+			if ((valid = Array.isArray(val))) {
+				val.forEach((element, i) => {
+					const elementPath = path + '[' + i + ']';
+					if ((element === undefined) || (element === null))
+						errors.add(elementPath, 'required');
+					else
+						val[i] = this._validateValue(
+							element, prop.element, elementPath, errors, runtime,
+							pending);
+				});
+			}
+			break;
+		case 'ref':
+			valid = (typeof val === 'string') || (typeof val === 'number');
+		}
+
+		if (!valid)
+			errors.add(path, 'type', [ prop.type ]);
+		else
+			this._checkConstraints(val, prop, path, errors, runtime, pending);
+
+		return val;
+	}
+
+	/**
+	 * Check property value constraints.
+	 *
+	 * @private
+	 * @param {*} val The value of the correct type.
+	 * @param {ResourceProperty} prop Property descriptor.
+	 * @param {string} path Property path.
+	 * @param {ValidationErrors} errors Validation errors accumulator.
+	 * @param {Runtime} runtime Application runtime.
+	 * @param {Promise[]} pending Accumulator for the promises returned by
+	 * asynchronous custom constraints.
+	 */
+	_checkConstraints(val, prop, path, errors, runtime, pending) {
+
+		const promise = prop.checkConstraints(val, path, errors, runtime);
+		if (promise)
+			pending.push(promise);
+	}
+}
+
+/**
+ * Complete validation.
+ *
+ * @private
+ * @param {Object} obj The validated object.
+ * @param {Promise[]} pending Promises returned by asynchronous custom
+ * constraints.
+ * @returns {(Object|Promise.<Object>)} The validated object, or a promise of it
+ * if there are pending asynchronous constraints.
+ */
+function complete(obj, pending) {
+
+	return (pending.length > 0 ? Promise.all(pending).then(() => obj) : obj);
+}
+
+module.exports = RecordValidator;
@@ -0,0 +1,512 @@
+"use strict";
+
+/**
+ * Supported filter tests.
+ *
+ * @private
+ * @type {Set.<string>}
+ */
+const TESTS = new Set([
+	'eq', 'ne', 'lt', 'gt', 'in', 'pattern', 'present', 'absent'
+]);
+
+/**
+ * Filter tests that can be applied to nested object and array properties.
+ *
+ * @private
+ * @type {Set.<string>}
+ */
+const PRESENCE_TESTS = new Set([ 'present', 'absent' ]);
+
+/**
+ * Single filter condition.
+ *
+ * @typedef {Object} RecordsFilterCondition
+ * @property {string} path Property path in dot notation.
+ * @property {string} test The test. One of "eq", "ne", "lt", "gt", "in",
+ * "pattern", "present" or "absent".
+ * @property {*} value Value to test against converted to the property type. For
+ * "in" test, an array of values. For "pattern" test, a <code>RegExp</code>. For
+ * "present" and "absent" tests, <code>undefined</code>.
+ */
+
+/**
+ * Single sort specification element.
+ *
+ * @typedef {Object} RecordsSortElement
+ * @property {string} path Property path in dot notation.
+ * @property {boolean} descending <code>true</code> for descending order.
+ */
+
+/**
+ * Records range specification.
+ *
+ * @typedef {Object} RecordsRange
+ * @property {number} offset Number of matching records to skip.
+ * @property {?number} limit Maximum number of records to return, or
+ * <code>null</code> for no limit.
+ */
+
+/**
+ * Query for resource records. The query is parsed from the query string of a
+ * call to a resource records collection. The query string can include the
+ * following parameters:
+ *
+ * <dl>
+ * <dt><code>prop=value</code>, <code>prop:test=value</code><dd>Filter condition
+ * for the property. The property is specified by its path in dot notation for
+ * nested object properties. The test is one of:
+ * <ul>
+ * <li><code>eq</code> - equal (the default, if no test is specified).
+ * <li><code>ne</code> - not equal.
+ * <li><code>lt</code> - less than.
+ * <li><code>gt</code> - greater than.
+ * <li><code>in</code> - equal to any of the comma-separated values.
+ * <li><code>pattern</code> - string matching the pattern, where "*" matches any
+ * sequence of characters.
+ * <li><code>present</code> - the property is present in the record (the value
+ * is ignored).
+ * <li><code>absent</code> - the property is absent in the record (the value is
+ * ignored).
+ * </ul>
+ * Only presence tests can be used with nested object and array properties.
+ * Multiple conditions are combined using logical "and".
+ * <dt><code>$sort=prop1,-prop2</code><dd>Comma-separated list of property paths
+ * to sort the records by. A minus sign in front of the property path means
+ * descending order.
+ * <dt><code>$offset=n</code><dd>Number of matching records to skip.
+ * <dt><code>$limit=n</code><dd>Maximum number of records to return.
+ * <dt><code>$props=prop1,prop2</code><dd>Comma-separated list of paths of the
+ * properties to include in the returned records. The record id is always
+ * included. Elements of array properties are addressed transparently (for
+ * example, "items.price" includes only "price" property of each element of
+ * "items" array). Properties of expanded referred records can be included as
+ * well (for example, "owner.name"). If not specified, all properties are
+ * included.
+ * <dt><code>$expand=ref1,ref2</code><dd>Comma-separated list of paths of the
+ * reference properties to expand. An expanded reference property value is
+ * replaced with the complete referred record. Reference properties in the
+ * referred records can be expanded recursively (for example,
+ * "owner.company").
+ * </dl>
+ *
+ * <p>Filter values are converted to the property types. Values of "datetime"
+ * properties are specified in ISO 8601 format. Values of "ref" properties are
+ * ids of the referred records.
+ *
+ * <p>Queries for single records can only include "$props" and "$expand"
+ * parameters.
+ */
+class RecordsQuery {
+
+	/**
+	 * Create new query. The constructor is used internally by the framework.
+	 *
+	 * @param {RecordsFilterCondition[]} filter Filter conditions.
+	 * @param {RecordsSortElement[]} sort Sort specification.
+	 * @param {?RecordsRange} range Range specification, or <code>null</code> for
+	 * all matching records.
+	 * @param {?string[]} props Paths of the properties to include in the
+	 * returned records, or <code>null</code> for all properties.
+	 * @param {string[]} expand Paths of the reference properties to expand.
+	 */
+	constructor(filter, sort, range, props, expand) {
+
+		this._filter = filter;
+		this._sort = sort;
+		this._range = range;
+		this._props = props;
+		this._expand = expand;
+	}
+
+
+	/**
+	 * Parse query from the request URL query string parameters.
+	 *
+	 * @param {Resource} resource The resource.
+	 * @param {Object.<string,(string|string[])>} queryParams Query string
+	 * parameters as parsed by Node.js "querystring" module.
+	 * @param {boolean} [singleRecord=false] <code>true</code> if the query is
+	 * for a single record, in which case only the properties projection and
+	 * references expansion are allowed.
+	 * @returns {RecordsQuery} The query.
+	 * @throws {SyntaxError} If the query is invalid.
+	 */
+	static parse(resource, queryParams, singleRecord) {
+
+		const filter = new Array();
+		let sort = new Array();
+		let offset = 0, limit = null;
+		let propsParam = null, expandParam = null;
+
+		Object.keys(queryParams).forEach(paramName => {
+			const paramValue = queryParams[paramName];
+			if (singleRecord && (paramName !== '$props')
+				&& (paramName !== '$expand'))
+				throw new SyntaxError(
+					'Query parameter "' + paramName
+						+ '" cannot be used for a single record.');
+			switch (paramName) {
+			case '$props':
+				propsParam = singleValue(paramName, paramValue);
+				break;
+			case '$expand':
+				expandParam = singleValue(paramName, paramValue);
+				break;
+			case '$sort':
+				sort = parseSort(resource, singleValue(paramName, paramValue));
+				break;
+			case '$offset':
+				offset = parseNonNegativeInt(
+					paramName, singleValue(paramName, paramValue));
+				break;
+			case '$limit':
+				limit = parseNonNegativeInt(
+					paramName, singleValue(paramName, paramValue));
+				break;
+			default:
+				(Array.isArray(paramValue) ? paramValue : [ paramValue ])
+					.forEach(v => {
+						filter.push(parseFilterCondition(resource, paramName, v));
+					});
+			}
+		});
+
+		const expand = (expandParam ? parseExpand(resource, expandParam) : []);
+
+		return new RecordsQuery(
+			filter, sort,
+			((offset > 0) || (limit !== null) ?
+				{ offset: offset, limit: limit } : null),
+			(propsParam ? parseProps(resource, propsParam, expand) : null),
+			expand
+		);
+	}
+
+
+	/**
+	 * Filter conditions. Empty array if no filter.
+	 *
+	 * @type {RecordsFilterCondition[]}
+	 * @readonly
+	 */
+	get filter() {
+
+		return this._filter;
+	}
+
+	/**
+	 * Sort specification. Empty array if unsorted.
+	 *
+	 * @type {RecordsSortElement[]}
+	 * @readonly
+	 */
+	get sort() {
+
+		return this._sort;
+	}
+
+	/**
+	 * Range specification, or <code>null</code> for all matching records.
+	 *
+	 * @type {?RecordsRange}
+	 * @readonly
+	 */
+	get range() {
+
+		return this._range;
+	}
+
+	/**
+	 * Paths of the properties to include in the returned records, or
+	 * <code>null</code> to include all properties.
+	 *
+	 * @type {?string[]}
+	 * @readonly
+	 */
+	get props() {
+
+		return this._props;
+	}
+
+	/**
+	 * Paths of the reference properties to expand. Includes all intermediate
+	 * reference properties for the recursively expanded references. Empty array
+	 * if no references are expanded.
+	 *
+	 * @type {string[]}
+	 * @readonly
+	 */
+	get expand() {
+
+		return this._expand;
+	}
+}
+
+/**
+ * Make sure that a query string parameter is not repeated.
+ *
+ * @private
+ * @param {string} paramName Parameter name.
+ * @param {(string|string[])} paramValue Parameter value.
+ * @returns {string} The single parameter value.
+ * @throws {SyntaxError} If the parameter is repeated.
+ */
+function singleValue(paramName, paramValue) {
+
+	if (Array.isArray(paramValue))
+		throw new SyntaxError(
+			'Query parameter "' + paramName + '" is repeated.');
+
+	return paramValue;
+}
+
+/**
+ * Parse non-negative integer query string parameter value.
+ *
+ * @private
+ * @param {string} paramName Parameter name.
+ * @param {string} paramValue Parameter value.
+ * @returns {number} The number.
+ * @throws {SyntaxError} If the value is invalid.
+ */
+function parseNonNegativeInt(paramName, paramValue) {
+
+	if (!/^\d+$/.test(paramValue))
+		throw new SyntaxError(
+			'Query parameter "' + paramName
+				+ '" must be a non-negative integer.');
+
+	return Number(paramValue);
+}
+
+/**
+ * Lookup the property used in the query.
+ *
+ * @private
+ * @param {Resource} resource The resource.
+ * @param {string} path Property path.
+ * @returns {ResourceProperty} The property descriptor.
+ * @throws {SyntaxError} If no such property.
+ */
+function getProperty(resource, path) {
+
+	const prop = ((path.indexOf('[') < 0) && resource.getProperty(path));
+	if (!prop)
+		throw new SyntaxError(
+			'Unknown property "' + path + '" used in the query.');
+
+	return prop;
+}
+
+/**
+ * Parse sort specification.
+ *
+ * @private
+ * @param {Resource} resource The resource.
+ * @param {string} paramValue Sort specification query string parameter value.
+ * @returns {RecordsSortElement[]} Parsed sort specification.
+ * @throws {SyntaxError} If the sort specification is invalid.
+ */
+function parseSort(resource, paramValue) {
+
+	return paramValue.split(',').map(el => {
+		const descending = el.startsWith('-');
+		const path = (descending ? el.substring(1) : el);
+		const prop = getProperty(resource, path);
+		if ((prop.type === 'object') || (prop.type === 'array'))
+			throw new SyntaxError(
+				'Cannot sort by nested object or array property "' + path
+					+ '".');
+		return {
+			path: path,
+			descending: descending
+		};
+	});
+}
+
+/**
+ * Walk the property path for projection and expansion, transparently
+ * descending into array elements and referred records.
+ *
+ * @private
+ * @param {Resource} resource The resource.
+ * @param {string} path Property path.
+ * @param {function} onRef Function called with the path prefix for each
+ * reference property that the path goes through (not including the last path
+ * element).
+ * @returns {ResourceProperty} The last property in the path, with array
+ * elements unwrapped.
+ * @throws {SyntaxError} If the path is invalid.
+ */
+function walkPath(resource, path, onRef) {
+
+	let props = resource.properties;
+	let prop;
+	const pathEls = path.split('.');
+	pathEls.forEach((propName, i) => {
+		prop = (props && props.get(propName));
+		if (!prop)
+			throw new SyntaxError(
+				'Unknown property "' + path + '" used in the query.');
+		while (prop.type === 'array')
+			prop = prop.element;
+		if (prop.type === 'ref') {
+			if (i < pathEls.length - 1)
+				onRef(pathEls.slice(0, i + 1).join('.'));
+			props = prop.refTargetResource.properties;
+		} else {
+			props = prop.properties;
+		}
+	});
+
+	return prop;
+}
+
+/**
+ * Parse references expansion specification.
+ *
+ * @private
+ * @param {Resource} resource The resource.
+ * @param {string} paramValue Expansion query string parameter value.
+ * @returns {string[]} Paths of all expanded reference properties.
+ * @throws {SyntaxError} If the specification is invalid.
+ */
+function parseExpand(resource, paramValue) {
+
+	const expand = new Set();
+	paramValue.split(',').forEach(path => {
+		const prop = walkPath(resource, path, refPath => {
+			expand.add(refPath);
+		});
+		if (prop.type !== 'ref')
+			throw new SyntaxError(
+				'Property "' + path + '" used in the query is not a reference.');
+		expand.add(path);
+	});
+
+	return Array.from(expand);
+}
+
+/**
+ * Parse properties projection specification.
+ *
+ * @private
+ * @param {Resource} resource The resource.
+ * @param {string} paramValue Projection query string parameter value.
+ * @param {string[]} expand Paths of the expanded reference properties.
+ * @returns {string[]} Paths of the included properties.
+ * @throws {SyntaxError} If the specification is invalid.
+ */
+function parseProps(resource, paramValue, expand) {
+
+	return paramValue.split(',').map(path => {
+		walkPath(resource, path, refPath => {
+			if (expand.indexOf(refPath) < 0)
+				throw new SyntaxError(
+					'Property "' + path + '" used in the query belongs to a'
+						+ ' referred record that is not expanded.');
+		});
+		return path;
+	});
+}
+
+/**
+ * Parse filter condition.
+ *
+ * @private
+ * @param {Resource} resource The resource.
+ * @param {string} paramName Query string parameter name.
+ * @param {string} paramValue Query string parameter value.
+ * @returns {RecordsFilterCondition} Parsed filter condition.
+ * @throws {SyntaxError} If the filter condition is invalid.
+ */
+function parseFilterCondition(resource, paramName, paramValue) {
+
+	// get property path and the test
+	const colInd = paramName.lastIndexOf(':');
+	const path = (colInd >= 0 ? paramName.substring(0, colInd) : paramName);
+	const test = (colInd >= 0 ? paramName.substring(colInd + 1) : 'eq');
+	if (!TESTS.has(test))
+		throw new SyntaxError(
+			'Unknown test "' + test + '" for property "' + path
+				+ '" used in the query.');
+
+	// get the property
+	const prop = getProperty(resource, path);
+
+	// parse the value
+	let value;
+	if (PRESENCE_TESTS.has(test)) {
+		value = undefined;
+	} else if ((prop.type === 'object') || (prop.type === 'array')) {
+		throw new SyntaxError(
+			'Only presence tests can be used with nested object or array'
+				+ ' property "' + path + '".');
+	} else if (test === 'in') {
+		value = paramValue.split(',').map(v => convertValue(prop, v));
+	} else if (test === 'pattern') {
+		if (prop.type !== 'string')
+			throw new SyntaxError(
+				'Pattern test can be used only with string property "' + path
+					+ '".');
+		value = new RegExp(
+			'^' + paramValue.split('*').map(
+				s => s.replace(/[\\^$.+?()[\]{}|]/g, '\\$&')).join('.*') + '$');
+	} else {
+		value = convertValue(prop, paramValue);
+	}
+
+	// return the condition
+	return {
+		path: path,
+		test: test,
+		value: value
+	};
+}
+
+/**
+ * Convert filter value string to the property type.
+ *
+ * @private
+ * @param {ResourceProperty} prop Property descriptor.
+ * @param {string} str Value string.
+ * @returns {*} Converted value.
+ * @throws {SyntaxError} If the value is invalid for the property type.
+ */
+function convertValue(prop, str) {
+
+	let type = prop.type;
+	if (type === 'ref') {
+		const refTarget = prop.refTargetResource;
+		type = refTarget.properties.get(refTarget.idPropertyName).type;
+	}
+
+	let value;
+	switch (type) {
+	case 'number':
+		value = Number(str);
+		if ((str.length === 0) || !isFinite(value))
+			value = undefined;
+		break;
+	case 'boolean':
+		value = (str === 'true' ? true : (str === 'false' ? false : undefined));
+		break;
+	case 'datetime':
+		value = new Date(str);
+		if (isNaN(value.getTime()))
+			value = undefined;
+		break;
+	default:
+		value = str;
+	}
+
+	if (value === undefined)
+		throw new SyntaxError(
+			'Invalid value "' + str + '" for property "' + prop.path
+				+ '" used in the query.');
+
+	return value;
+}
+
+module.exports = RecordsQuery;
@@ -0,0 +1,365 @@
+"use strict";
+
+/**
+ * Supported property value types.
+ *
+ * @private
+ * @type {Set.<string>}
+ */
+const PROPERTY_TYPES = new Set([
+	'string',
+	'number',
+	'boolean',
+	'datetime',
+	'object',
+	'array',
+	'ref'
+]);
+
+/**
+ * Constraint definition attributes by the property types, to which they are
+ * applicable.
+ *
+ * @private
+ * @type {Object.<string,string[]>}
+ */
+const CONSTRAINT_ATTRIBUTES = {
+	minLength: [ 'string' ],
+	maxLength: [ 'string' ],
+	pattern: [ 'string' ],
+	min: [ 'number' ],
+	max: [ 'number' ],
+	values: [ 'string', 'number', 'ref' ],
+	minItems: [ 'array' ],
+	maxItems: [ 'array' ]
+};
+
+/**
+ * Resource record property descriptor. The descriptors are created by the
+ * framework from the {@link PropertyDefinition} objects when the application is
+ * initialized.
+ */
+class ResourceProperty {
+
+	/**
+	 * Create new property descriptor. The constructor is used internally by the
+	 * framework.
+	 *
+	 * @param {string} resourceName Name of the resource, to which the property
+	 * belongs.
+	 * @param {string} path Property path (dot notation for nested object
+	 * properties, empty square brackets for array elements).
+	 * @param {PropertyDefinition} def Property definition.
+	 * @throws {Error} If the property definition is invalid.
+	 */
+	constructor(resourceName, path, def) {
+
+		// helper function for the definition errors
+		function invalid(msg) {
+			return new Error(
+				'Invalid definition of resource "' + resourceName
+					+ '" property "' + path + '": ' + msg);
+		}
+
+		// check the definition
+		if (typeof def !== 'object' || (def === null))
+			throw invalid('definition is not an object.');
+		if (!PROPERTY_TYPES.has(def.type))
+			throw invalid('invalid type "' + def.type + '".');
+
+		// basic attributes
+		this._path = path;
+		this._name = path.substring(path.lastIndexOf('.') + 1);
+		this._type = def.type;
+		this._required = !!def.required;
+		this._readOnly = !!def.readOnly;
+
+		// compile value constraints
+		this._constraints = compileConstraints(def, invalid);
+
+		// type-specific attributes
+		switch (def.type) {
+		case 'object':
+			if (typeof def.properties !== 'object' || (def.properties === null))
+				throw invalid('nested object properties are not defined.');
+			this._properties = new Map();
+			Object.keys(def.properties).forEach(propName => {
+				this._properties.set(propName, new ResourceProperty(
+					resourceName, path + '.' + propName,
+					def.properties[propName]));
+			});
+			break;
+		case 'array':
+			if (!def.element)
+				throw invalid('array element is not defined.');
+			this._element = new ResourceProperty(
+				resourceName, path + '[]', def.element);
+			break;
+		case 'ref':
+			if (typeof def.resource !== 'string' || (def.resource.length === 0))
+				throw invalid('referred resource is not specified.');
+			this._refTarget = def.resource;
+		}
+	}
+
+
+	/**
+	 * Property name.
+	 *
+	 * @type {string}
+	 * @readonly
+	 */
+	get name() {
+
+		return this._name;
+	}
+
+	/**
+	 * Property path, which is the property name prefixed with the names of the
+	 * containing properties for nested object properties. Array elements are
+	 * designated with empty square brackets (for example, "items[].price").
+	 *
+	 * @type {string}
+	 * @readonly
+	 */
+	get path() {
+
+		return this._path;
+	}
+
+	/**
+	 * Property value type. One of "string", "number", "boolean", "datetime",
+	 * "object", "array" or "ref".
+	 *
+	 * @type {string}
+	 * @readonly
+	 */
+	get type() {
+
+		return this._type;
+	}
+
+	/**
+	 * Tells if the property is required.
+	 *
+	 * @type {boolean}
+	 * @readonly
+	 */
+	get required() {
+
+		return this._required;
+	}
+
+	/**
+	 * Tells if the property is read-only, which means that its value cannot be
+	 * provided by the API client and is only set by the application.
+	 *
+	 * @type {boolean}
+	 * @readonly
+	 */
+	get readOnly() {
+
+		return this._readOnly;
+	}
+
+	/**
+	 * Check the property value against the constraints declared in the property
+	 * definition. The value must be already checked to be of the property's
+	 * type. Nested object properties and array elements are not checked.
+	 *
+	 * @param {*} val The value, not <code>null</code> nor
+	 * <code>undefined</code>.
+	 * @param {string} path Property path in the validated object, such as
+	 * "items[2].price".
+	 * @param {ValidationErrors} errors Validation errors accumulator.
+	 * @param {Runtime} runtime Application runtime passed to the custom
+	 * constraint functions.
+	 * @returns {?Promise} Promise that is fulfilled when all asynchronous custom
+	 * constraint functions complete, or <code>null</code> if none.
+	 */
+	checkConstraints(val, path, errors, runtime) {
+
+		const promises = new Array();
+		this._constraints.forEach(constraint => {
+			const res = constraint(val, path, errors, runtime);
+			if (res && (typeof res.then === 'function'))
+				promises.push(res);
+		});
+
+		return (promises.length > 0 ? Promise.all(promises) : null);
+	}
+
+	/**
+	 * For a nested object property, descriptors of the nested object's
+	 * properties by property names. For other property types,
+	 * <code>undefined</code>.
+	 *
+	 * @type {Map.<string,ResourceProperty>}
+	 * @readonly
+	 */
+	get properties() {
+
+		return this._properties;
+	}
+
+	/**
+	 * For an array property, descriptor of the array elements. For other
+	 * property types, <code>undefined</code>.
+	 *
+	 * @type {ResourceProperty}
+	 * @readonly
+	 */
+	get element() {
+
+		return this._element;
+	}
+
+	/**
+	 * For a reference property, name of the referred resource. For other
+	 * property types, <code>undefined</code>.
+	 *
+	 * @type {string}
+	 * @readonly
+	 */
+	get refTarget() {
+
+		return this._refTarget;
+	}
+
+	/**
+	 * For a reference property, the referred resource. For other property types,
+	 * <code>undefined</code>. The referred resource is resolved when the
+	 * application is initialized.
+	 *
+	 * @type {Resource}
+	 * @readonly
+	 */
+	get refTargetResource() {
+
+		return this._refTargetResource;
+	}
+}
+
+/**
+ * Compile constraints declared in a property definition into a list of
+ * functions that check the property value.
+ *
+ * @private
+ * @param {PropertyDefinition} def Property definition.
+ * @param {function} invalid Function that creates error for invalid property
+ * definition given the error message.
+ * @returns {PropertyConstraintFunction[]} The constraint functions.
+ * @throws {Error} If a constraint definition is invalid.
+ */
+function compileConstraints(def, invalid) {
+
+	// check that the constraints are applicable to the property type
+	Object.keys(CONSTRAINT_ATTRIBUTES).forEach(attrName => {
+		if ((def[attrName] !== undefined)
+			&& (CONSTRAINT_ATTRIBUTES[attrName].indexOf(def.type) < 0))
+			throw invalid(
+				attrName + ' is not applicable to ' + def.type
+					+ ' properties.');
+	});
+
+	// helper function for getting non-negative integer attributes
+	const getCount = attrName => {
+		const val = def[attrName];
+		if (!Number.isInteger(val) || (val < 0))
+			throw invalid(attrName + ' must be a non-negative integer.');
+		return val;
+	};
+
+	// helper function for getting number attributes
+	const getNumber = attrName => {
+		const val = def[attrName];
+		if (typeof val !== 'number' || !isFinite(val))
+			throw invalid(attrName + ' must be a number.');
+		return val;
+	};
+
+	// build the constraints list
+	const constraints = new Array();
+	if (def.minLength !== undefined) {
+		const minLength = getCount('minLength');
+		constraints.push((val, path, errors) => {
+			if (val.length < minLength)
+				errors.add(path, 'minLength', [ minLength ]);
+		});
+	}
+	if (def.maxLength !== undefined) {
+		const maxLength = getCount('maxLength');
+		constraints.push((val, path, errors) => {
+			if (val.length > maxLength)
+				errors.add(path, 'maxLength', [ maxLength ]);
+		});
+	}
+	if (def.pattern !== undefined) {
+		let pattern;
+		try {
+			pattern = (
+				def.pattern instanceof RegExp ?
+					def.pattern : new RegExp(String(def.pattern)));
+		} catch (err) {
+			throw invalid('invalid pattern: ' + err.message);
+		}
+		constraints.push((val, path, errors) => {
+			if (!pattern.test(val))
+				errors.add(path, 'pattern', [ pattern.source ]);
+		});
+	}
+	if (def.min !== undefined) {
+		const min = getNumber('min');
+		constraints.push((val, path, errors) => {
+			if (val < min)
+				errors.add(path, 'min', [ min ]);
+		});
+	}
+	if (def.max !== undefined) {
+		const max = getNumber('max');
+		constraints.push((val, path, errors) => {
+			if (val > max)
+				errors.add(path, 'max', [ max ]);
+		});
+	}
+	if (def.values !== undefined) {
+		if (!Array.isArray(def.values) || (def.values.length === 0))
+			throw invalid('values must be a non-empty array.');
+		const values = Array.from(def.values);
+		constraints.push((val, path, errors) => {
+			if (values.indexOf(val) < 0)
+				errors.add(path, 'values', values);
+		});
+	}
+	if (def.minItems !== undefined) {
+		const minItems = getCount('minItems');
+		constraints.push((val, path, errors) => {
+			if (val.length < minItems)
+				errors.add(path, 'minItems', [ minItems ]);
+		});
+	}
+	if (def.maxItems !== undefined) {
+		const maxItems = getCount('maxItems');
+		constraints.push((val, path, errors) => {
+			if (val.length > maxItems)
+				errors.add(path, 'maxItems', [ maxItems ]);
+		});
+	}
+
+	// add custom constraints
+	if (def.validate !== undefined) {
+		const customConstraints = (
+			Array.isArray(def.validate) ? def.validate : [ def.validate ]);
+		customConstraints.forEach(constraint => {
+			if (typeof constraint !== 'function')
+				throw invalid(
+					'validate must be a function or an array of functions.');
+			constraints.push(constraint);
+		});
+	}
+
+	// return the constraints
+	return constraints;
+}
+
+module.exports = ResourceProperty;
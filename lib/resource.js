@@ -0,0 +1,236 @@
+"use strict";
+
+const ResourceProperty = require('./resource-property.js');
+const CachePolicy = require('./cache-policy.js');
+
+/**
+ * Application resource. The resource objects are created by the framework from
+ * the {@link ResourceDefinition} objects registered with the application when
+ * the application is initialized. The resources are made available to the
+ * application components via {@link Runtime#resource} method.
+ */
+class Resource {
+
+	/**
+	 * Create new resource. The constructor is used internally by the framework.
+	 *
+	 * @param {ResourceDefinition} def Resource definition.
+	 * @throws {Error} If the resource definition is invalid.
+	 */
+	constructor(def) {
+
+		// check the basics
+		if (typeof def !== 'object' || (def === null))
+			throw new Error('Resource definition is not an object.');
+		if (typeof def.name !== 'string' || (def.name.length === 0))
+			throw new Error('Resource definition does not have a name.');
+		this._name = def.name;
+
+		// helper function for the definition errors
+		const invalid = msg => new Error(
+			'Invalid definition of resource "' + this._name + '": ' + msg);
+
+		// create property descriptors
+		if (typeof def.properties !== 'object' || (def.properties === null))
+			throw invalid('no properties are defined.');
+		this._properties = new Map();
+		Object.keys(def.properties).forEach(propName => {
+			this._properties.set(propName, new ResourceProperty(
+				this._name, propName, def.properties[propName]));
+		});
+
+		// check the id property
+		this._idPropertyName = (def.idProperty || 'id');
+		const idProp = this._properties.get(this._idPropertyName);
+		if (!idProp)
+			throw invalid(
+				'id property "' + this._idPropertyName + '" is not defined.');
+		if ((idProp.type !== 'string') && (idProp.type !== 'number'))
+			throw invalid(
+				'id property "' + this._idPropertyName
+					+ '" must be a string or a number.');
+
+		// record ids are always assigned by the application
+		idProp._readOnly = true;
+
+		// check the record version and modification timestamp properties
+		const checkMetaProp = (attrName, propType) => {
+			const propName = def[attrName];
+			if (propName === undefined)
+				return undefined;
+			const prop = this._properties.get(propName);
+			if (!prop)
+				throw invalid(
+					attrName + ' "' + propName + '" is not defined.');
+			if (prop.type !== propType)
+				throw invalid(
+					attrName + ' "' + propName + '" must be a ' + propType
+						+ '.');
+			prop._readOnly = true;
+			return propName;
+		};
+		this._versionPropertyName = checkMetaProp('versionProperty', 'number');
+		this._lastModifiedPropertyName =
+			checkMetaProp('lastModifiedProperty', 'datetime');
+		this._preconditionRequired = !!def.preconditionRequired;
+
+		// create cacheability policy
+		try {
+			this._cachePolicy = (
+				def.cacheability !== undefined ?
+					new CachePolicy(def.cacheability, def.maxAge) :
+					CachePolicy.DEFAULT);
+		} catch (err) {
+			throw invalid(err.message);
+		}
+	}
+
+
+	/**
+	 * Resource name.
+	 *
+	 * @type {string}
+	 * @readonly
+	 */
+	get name() {
+
+		return this._name;
+	}
+
+	/**
+	 * Name of the record id property.
+	 *
+	 * @type {string}
+	 * @readonly
+	 */
+	get idPropertyName() {
+
+		return this._idPropertyName;
+	}
+
+	/**
+	 * Name of the record version property, or <code>undefined</code> if the
+	 * resource records are not versioned.
+	 *
+	 * @type {string}
+	 * @readonly
+	 */
+	get versionPropertyName() {
+
+		return this._versionPropertyName;
+	}
+
+	/**
+	 * Name of the record last modification timestamp property, or
+	 * <code>undefined</code> if the resource records do not have it.
+	 *
+	 * @type {string}
+	 * @readonly
+	 */
+	get lastModifiedPropertyName() {
+
+		return this._lastModifiedPropertyName;
+	}
+
+	/**
+	 * Tells if calls that modify the resource records must include a
+	 * precondition.
+	 *
+	 * @type {boolean}
+	 * @readonly
+	 */
+	get preconditionRequired() {
+
+		return this._preconditionRequired;
+	}
+
+	/**
+	 * Cacheability policy for the responses that include the resource records.
+	 *
+	 * @type {CachePolicy}
+	 * @readonly
+	 */
+	get cachePolicy() {
+
+		return this._cachePolicy;
+	}
+
+	/**
+	 * Descriptors of the resource record top-level properties by property names.
+	 *
+	 * @type {Map.<string,ResourceProperty>}
+	 * @readonly
+	 */
+	get properties() {
+
+		return this._properties;
+	}
+
+	/**
+	 * Get property descriptor.
+	 *
+	 * @param {string} path Property path in dot notation for nested object
+	 * properties. Array element properties are addressed with empty square
+	 * brackets after the array property name (for example, "items[].price").
+	 * @returns {ResourceProperty} The property descriptor, or
+	 * <code>undefined</code> if no such property.
+	 */
+	getProperty(path) {
+
+		let prop;
+		let props = this._properties;
+		for (let pathEl of path.split('.')) {
+			if (!props)
+				return undefined;
+			const elementsInd = pathEl.indexOf('[]');
+			prop = props.get(
+				elementsInd >= 0 ? pathEl.substring(0, elementsInd) : pathEl);
+			if (!prop)
+				return undefined;
+			if (elementsInd >= 0) {
+				for (let rest = pathEl.substring(elementsInd); rest.length > 0;
+					rest = rest.substring(2)) {
+					if ((prop.type !== 'array') || !rest.startsWith('[]'))
+						return undefined;
+					prop = prop.element;
+				}
+			}
+			props = prop.properties;
+		}
+
+		return prop;
+	}
+
+	/**
+	 * Resolve resources referred by the reference properties in the resource.
+	 *
+	 * @private
+	 * @param {Map.<string,Resource>} resources All application resources.
+	 * @throws {Error} If a reference property refers to an unknown resource.
+	 */
+	_resolveReferences(resources) {
+
+		const resolveProps = props => {
+			props.forEach(prop => {
+				let p = prop;
+				while (p.type === 'array')
+					p = p.element;
+				if (p.type === 'ref') {
+					p._refTargetResource = resources.get(p.refTarget);
+					if (!p._refTargetResource)
+						throw new Error(
+							'Invalid definition of resource "' + this._name
+								+ '" property "' + p.path
+								+ '": reference to unknown resource "'
+								+ p.refTarget + '".');
+				}
+				if (p.type === 'object')
+					resolveProps(p.properties);
+			});
+		};
+
+		resolveProps(this._properties);
+	}
+}
+
+module.exports = Resource;
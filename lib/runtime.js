@@ -16,12 +16,14 @@ class Runtime {
 	 * function.
 	 * @param {Logger} logger The logger.
 	 * @param {Map.<string,Object>} services Reference to the services map.
+	 * @param {Map.<string,Resource>} resources Application resources.
 	 */
-	constructor(configFn, logger, services) {
+	constructor(configFn, logger, services, resources) {
 
 		this._configFn = configFn;
 		this._logger = logger;
 		this._services = services;
+		this._resources = resources;
 	}
 
 
@@ -64,6 +66,23 @@ class Runtime {
 
 		return service;
 	}
+
+	/**
+	 * Get resource.
+	 *
+	 * @param {string} name Resource name.
+	 * @returns {Resource} The resource.
+	 * @throws {Error} No such resource registered.
+	 */
+	resource(name) {
+
+		const resource = this._resources.get(name);
+
+		if (resource === undefined)
+			throw new Error('Unknown resource "' + name + '".');
+
+		return resource;
+	}
 }
 
 module.exports = Runtime;
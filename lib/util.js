@@ -18,5 +18,35 @@ module.exports = {
 
 		return name.toLowerCase().replace(
 				/\b[a-z]/g, match => match.toUpperCase());
+	},
+
+	/**
+	 * Parse value of an HTTP request header that contains a list of entity tags,
+	 * such as "If-Match" or "If-None-Match".
+	 *
+	 * @param {string} value The header value.
+	 * @returns {(string|string[])} String "*" if the header value is "*",
+	 * otherwise array of entity tags including the double quotes and the "W/"
+	 * prefix for weak tags. Malformed elements are skipped.
+	 */
+	parseEntityTags(value) {
+
+		if (value.trim() === '*')
+			return '*';
+
+		return (value.match(/(?:W\/)?"[^"]*"/g) || []);
+	},
+
+	/**
+	 * Tell if the specified response entity data is a seekable stream source.
+	 *
+	 * @param {*} data The entity data.
+	 * @returns {boolean} <code>true</code> if {@link SeekableStreamSource}.
+	 */
+	isSeekableStreamSource(data) {
+
+		return ((data !== null) && (typeof data === 'object')
+			&& (typeof data.createReadStream === 'function')
+			&& (typeof data.size === 'number'));
 	}
 };
@@ -1,5 +1,15 @@
 "use strict";
 
+/**
+ * Validation error descriptor.
+ *
+ * @typedef {Object} ValidationError
+ * @property {string} property Invalid property name (dot and square brackets
+ * notation).
+ * @property {string} constraint Violated constraint identifier.
+ * @property {Array.<*>} [params] Violation parameters, if any.
+ */
+
 /**
  * Object validation errors accumulator.
  */
@@ -14,6 +24,8 @@ class ValidationErrors {
 	constructor(app) {
 
 		this._app = app;
+
+		this._errors = new Array();
 	}
 
 
@@ -29,7 +41,14 @@ class ValidationErrors {
 	 */
 	add(propertyName, constraintType, violationParams) {
 
-		// TODO:...
+		const error = {
+			property: propertyName,
+			constraint: constraintType
+		};
+		if (violationParams && (violationParams.length > 0))
+			error.params = Array.from(violationParams);
+
+		this._errors.push(error);
 
 		return this;
 	}
@@ -42,8 +61,30 @@ class ValidationErrors {
 	 */
 	get hasErrors() {
 
-		// TODO:...
-		return false;
+		return (this._errors.length > 0);
+	}
+
+	/**
+	 * The errors in the order they were added.
+	 *
+	 * @type {ValidationError[]}
+	 * @readonly
+	 */
+	get errors() {
+
+		return Array.from(this._errors);
+	}
+
+	/**
+	 * Get errors associated with the specified property.
+	 *
+	 * @param {string} propertyName Property name (dot and square brackets
+	 * notation).
+	 * @returns {ValidationError[]} The property errors, may be empty.
+	 */
+	getPropertyErrors(propertyName) {
+
+		return this._errors.filter(error => (error.property === propertyName));
 	}
 }
 
@@ -0,0 +1,547 @@
+"use strict";
+
+const assert = require('assert');
+const http = require('http');
+const stream = require('stream');
+const zlib = require('zlib');
+
+const Application = require('../lib/application.js');
+const ApplicationModule = require('../lib/application-module.js');
+
+// logger that discards everything
+const silentLogger = {
+	debug() {},
+	info() {},
+	warn() {},
+	error() {},
+	isDebugEnabled() { return false; }
+};
+
+// create application with the specified configuration parameters
+function createApplication(config) {
+
+	return new Application(name => (config || {})[name], silentLogger);
+}
+
+// send request to the application and get the response
+function request(app, options, body) {
+
+	return new Promise((resolve, reject) => {
+		const server = http.createServer().on('request', app.respond.bind(app));
+		server.listen(0, '127.0.0.1', () => {
+			http.request(Object.assign({
+				host: '127.0.0.1',
+				port: server.address().port,
+				agent: false
+			}, options), response => {
+				const chunks = new Array();
+				response
+					.on('data', chunk => { chunks.push(chunk); })
+					.on('end', () => {
+						server.close();
+						resolve({
+							statusCode: response.statusCode,
+							headers: response.headers,
+							body: Buffer.concat(chunks)
+						});
+					});
+			}).on('error', err => {
+				server.close();
+				reject(err);
+			}).end(body);
+		});
+	});
+}
+
+describe('Application', function() {
+
+	let app;
+	afterEach(function() {
+		app.shutdown();
+	});
+
+	describe('content negotiation', function() {
+
+		beforeEach(function() {
+			app = createApplication({ X2_API_VENDOR: 'acme' })
+				.endpoint('/orders', {
+					public: true,
+					apiVersion: 'v1',
+					methods: { GET: ctx => ({ version: ctx.apiVersion }) }
+				})
+				.endpoint('/orders', {
+					public: true,
+					apiVersion: 'v2',
+					methods: { GET: ctx => ({ version: ctx.apiVersion }) }
+				});
+		});
+
+		it('selects API version with vendor media type with suffix', function() {
+			return request(app, {
+				path: '/orders',
+				headers: { 'Accept': 'application/vnd.acme.v2+json' }
+			}).then(response => {
+				assert.strictEqual(response.statusCode, 200);
+				assert.strictEqual(
+					response.headers['content-type'], 'application/json');
+				assert.deepStrictEqual(
+					JSON.parse(response.body), { version: 'v2' });
+			});
+		});
+
+		it('selects API version with vendor media type without suffix',
+			function() {
+				return request(app, {
+					path: '/orders',
+					headers: { 'Accept': 'application/vnd.acme.v1' }
+				}).then(response => {
+					assert.strictEqual(response.statusCode, 200);
+					assert.strictEqual(
+						response.headers['content-type'], 'application/json');
+					assert.deepStrictEqual(
+						JSON.parse(response.body), { version: 'v1' });
+				});
+			});
+
+		it('responds with 406 if vendor media type suffix is not supported',
+			function() {
+				return request(app, {
+					path: '/orders',
+					headers: { 'Accept': 'application/vnd.acme.v2+xml' }
+				}).then(response => {
+					assert.strictEqual(response.statusCode, 406);
+				});
+			});
+	});
+
+	describe('conditional requests', function() {
+
+		beforeEach(function() {
+			app = createApplication()
+				.resource({
+					name: 'Item',
+					versionProperty: 'version',
+					properties: {
+						id: { type: 'number' },
+						version: { type: 'number' },
+						name: { type: 'string' }
+					}
+				})
+				.endpoint('/items(?:/([^/]+))?', {
+					resource: 'Item',
+					public: true
+				});
+			return request(app, {
+				method: 'POST',
+				path: '/items',
+				headers: { 'Content-Type': 'application/json' }
+			}, JSON.stringify({ name: 'x' }));
+		});
+
+		// get the response "Vary" header elements
+		function vary(response) {
+
+			return response.headers['vary'].split(/\s*,\s*/).sort();
+		}
+
+		// request the URI and then request it again with "If-None-Match"
+		function requestTwice(path) {
+
+			return request(app, { path: path }).then(
+				response => request(app, {
+					path: path,
+					headers: { 'If-None-Match': response.headers['etag'] }
+				}).then(notModified => [ response, notModified ]));
+		}
+
+		it('responds with 304 that varies as the full response', function() {
+			return requestTwice('/items/1').then(responses => {
+				assert.strictEqual(responses[0].statusCode, 200);
+				assert.strictEqual(responses[1].statusCode, 304);
+				assert.deepStrictEqual(
+					vary(responses[1]),
+					[ 'Accept', 'Accept-Encoding', 'Origin' ]);
+				assert.deepStrictEqual(vary(responses[1]), vary(responses[0]));
+			});
+		});
+
+		it('responds with 304 to collection read that varies as the full response',
+			function() {
+				return requestTwice('/items').then(responses => {
+					assert.strictEqual(responses[0].statusCode, 200);
+					assert.strictEqual(responses[1].statusCode, 304);
+					assert.deepStrictEqual(
+						vary(responses[1]), vary(responses[0]));
+				});
+			});
+	});
+
+	describe('records queries', function() {
+
+		beforeEach(function() {
+			app = createApplication()
+				.resource({
+					name: 'Item',
+					properties: {
+						id: { type: 'number' },
+						name: { type: 'string' },
+						price: { type: 'number' }
+					}
+				})
+				.endpoint('/items(?:/([^/]+))?', {
+					resource: 'Item',
+					public: true
+				});
+			return [ 'a', 'b', 'c', 'd' ].reduce(
+				(chain, name, i) => chain.then(() => request(app, {
+					method: 'POST',
+					path: '/items',
+					headers: { 'Content-Type': 'application/json' }
+				}, JSON.stringify({ name: name, price: (i % 2) * 10 + i }))),
+				Promise.resolve());
+		});
+
+		it('filters, sorts and limits collection', function() {
+			return request(app, {
+				path: '/items?price:gt=1&$sort=-price,name&$offset=1&$limit=1'
+			}).then(response => {
+				assert.strictEqual(response.statusCode, 200);
+				assert.deepStrictEqual(
+					JSON.parse(response.body).map(item => item.name), [ 'b' ]);
+			});
+		});
+
+		[
+			'/items?color=red',
+			'/items?price:le=1',
+			'/items?price=cheap',
+			'/items?$sort=color',
+			'/items?$limit=-1',
+			'/items?$offset=1&$offset=2',
+			'/items/1?$sort=name'
+		].forEach(path => {
+			it('responds with 400 to "' + path + '"', function() {
+				return request(app, { path: path }).then(response => {
+					assert.strictEqual(response.statusCode, 400);
+					assert.strictEqual(
+						JSON.parse(response.body).errorCode, 'X2-400-2');
+				});
+			});
+		});
+	});
+
+	describe('timeouts', function() {
+
+		// get promise resolved after the specified delay
+		function delay(ms, value) {
+
+			return new Promise(resolve => {
+				setTimeout(() => { resolve(value); }, ms);
+			});
+		}
+
+		beforeEach(function() {
+			app = createApplication({ X2_HANDLER_TIMEOUT: '100' })
+				.endpoint('/slow', {
+					public: true,
+					methods: { GET: () => delay(150, { late: 1 }) }
+				});
+		});
+
+		it('sends timeout response if handler completes during interceptors',
+			function() {
+				app.interceptor('beforeResponse', () => delay(200));
+				return request(app, { path: '/slow' }).then(response => {
+					assert.strictEqual(response.statusCode, 503);
+					assert.strictEqual(
+						JSON.parse(response.body).errorCode, 'X2-503');
+				});
+			});
+
+		it('sends 500 if interceptor fails for timeout response', function() {
+			app.interceptor('beforeResponse', () => delay(200).then(() => {
+				throw new Error('interceptor failure');
+			}));
+			return request(app, { path: '/slow' }).then(response => {
+				assert.strictEqual(response.statusCode, 500);
+			});
+		});
+	});
+
+	describe('modules', function() {
+
+		const serviceProvider = { createService: () => ({}) };
+
+		beforeEach(function() {
+			app = createApplication();
+		});
+
+		it('rejects different modules with the same name', function() {
+			app.mount('/a', new ApplicationModule('m'));
+			assert.throws(
+				() => { app.mount('/b', new ApplicationModule('m')); },
+				/Another module named "m" is already mounted/);
+		});
+
+		it('allows mounting the same module under different paths', function() {
+			const module = (new ApplicationModule('m'))
+				.resource({
+					name: 'R',
+					properties: { id: { type: 'number' } }
+				})
+				.endpoint('/items', {
+					public: true,
+					methods: { GET: () => ({ ok: true }) }
+				});
+			app.mount('/a', module).mount('/b', module).init();
+			return Promise.all([
+				request(app, { path: '/a/items' }),
+				request(app, { path: '/b/items' })
+			]).then(responses => {
+				responses.forEach(response => {
+					assert.strictEqual(response.statusCode, 200);
+				});
+			});
+		});
+
+		it('reports service registered by two modules', function() {
+			app
+				.mount('/a', (new ApplicationModule('m1')).service(
+					'foo', serviceProvider))
+				.mount('/b', (new ApplicationModule('m2')).service(
+					'foo', serviceProvider));
+			assert.throws(
+				() => { app.init(); },
+				/Service "foo" is registered by both module "m1" and module "m2"/);
+		});
+	});
+
+	describe('byte ranges', function() {
+
+		const data = new Buffer(100);
+		for (let i = 0; i < data.length; i++)
+			data[i] = i;
+
+		beforeEach(function() {
+			app = createApplication()
+				.endpoint('/data', {
+					public: true,
+					methods: {
+						GET: ctx => ctx.response(200).entity(
+							data, 'application/octet-stream')
+					}
+				})
+				.endpoint('/source', {
+					public: true,
+					methods: {
+						GET: ctx => ctx.response(200).entity({
+							size: data.length,
+							createReadStream: (start, end) => {
+								const rangeStream = new stream.PassThrough();
+								rangeStream.end(data.slice(start, end + 1));
+								return rangeStream;
+							}
+						}, 'application/octet-stream')
+					}
+				});
+		});
+
+		// request the data with the specified "Range" header
+		function requestRange(range, path) {
+
+			return request(app, {
+				path: (path || '/data'),
+				headers: { 'Range': range }
+			});
+		}
+
+		// parse "multipart/byteranges" response body into parts
+		function parseByteRanges(response) {
+
+			const match = /^multipart\/byteranges;\s*boundary=(.+)$/.exec(
+				response.headers['content-type']);
+			assert.ok(match, 'not a multipart/byteranges response');
+			const delimiter = '--' + match[1];
+			const body = response.body.toString('binary');
+			assert.ok(body.endsWith(delimiter + '--'), 'no closing delimiter');
+
+			const parts = body.substring(0, body.length - delimiter.length - 2)
+				.split(delimiter + '\r\n').slice(1);
+
+			return parts.map(part => {
+				assert.ok(part.endsWith('\r\n'), 'no line break after part');
+				const headersEnd = part.indexOf('\r\n\r\n');
+				const headers = {};
+				part.substring(0, headersEnd).split('\r\n').forEach(line => {
+					const colon = line.indexOf(':');
+					headers[line.substring(0, colon).toLowerCase()] =
+						line.substring(colon + 1).trim();
+				});
+				return {
+					headers: headers,
+					body: new Buffer(
+						part.substring(headersEnd + 4, part.length - 2),
+						'binary')
+				};
+			});
+		}
+
+		// define test for both the buffer and the seekable source entity
+		function itForEachSource(title, test) {
+
+			it(title + ' of buffer', function() {
+				return test('/data');
+			});
+			it(title + ' of seekable source', function() {
+				return test('/source');
+			});
+		}
+
+		itForEachSource('sends single range', path => (
+			requestRange('bytes=10-19', path).then(response => {
+				assert.strictEqual(response.statusCode, 206);
+				assert.strictEqual(
+					response.headers['content-range'], 'bytes 10-19/100');
+				assert.strictEqual(response.headers['content-length'], '10');
+				assert.deepStrictEqual(response.body, data.slice(10, 20));
+			})
+		));
+
+		itForEachSource('sends open-ended range', path => (
+			requestRange('bytes=90-', path).then(response => {
+				assert.strictEqual(response.statusCode, 206);
+				assert.strictEqual(
+					response.headers['content-range'], 'bytes 90-99/100');
+				assert.deepStrictEqual(response.body, data.slice(90));
+			})
+		));
+
+		itForEachSource('sends suffix range', path => (
+			requestRange('bytes=-5', path).then(response => {
+				assert.strictEqual(response.statusCode, 206);
+				assert.strictEqual(
+					response.headers['content-range'], 'bytes 95-99/100');
+				assert.deepStrictEqual(response.body, data.slice(95));
+			})
+		));
+
+		itForEachSource('truncates range that ends past the end', path => (
+			requestRange('bytes=95-200', path).then(response => {
+				assert.strictEqual(response.statusCode, 206);
+				assert.strictEqual(
+					response.headers['content-range'], 'bytes 95-99/100');
+				assert.deepStrictEqual(response.body, data.slice(95));
+			})
+		));
+
+		[ 'bytes=200-', 'bytes=100-', 'bytes=100-120', 'bytes=-0',
+			'bytes=200-,150-160' ].forEach(range => {
+			itForEachSource('responds with 416 to "' + range + '"', path => (
+				requestRange(range, path).then(response => {
+					assert.strictEqual(response.statusCode, 416);
+					assert.strictEqual(
+						response.headers['content-range'], 'bytes */100');
+				})
+			));
+		});
+
+		[ 'bytes=20-10', 'bytes=-', 'bytes=a-b', 'items=0-10', '0-10' ].forEach(
+			range => {
+				itForEachSource('ignores "' + range + '"', path => (
+					requestRange(range, path).then(response => {
+						assert.strictEqual(response.statusCode, 200);
+						assert.deepStrictEqual(response.body, data);
+					})
+				));
+			});
+
+		itForEachSource('sends multiple ranges as multipart', path => (
+			requestRange('bytes=0-9,200-,-10', path).then(response => {
+				assert.strictEqual(response.statusCode, 206);
+				assert.strictEqual(
+					response.headers['content-range'], undefined);
+				assert.strictEqual(
+					Number(response.headers['content-length']),
+					response.body.length);
+				assert.deepStrictEqual(parseByteRanges(response), [
+					{
+						headers: {
+							'content-type': 'application/octet-stream',
+							'content-range': 'bytes 0-9/100'
+						},
+						body: data.slice(0, 10)
+					},
+					{
+						headers: {
+							'content-type': 'application/octet-stream',
+							'content-range': 'bytes 90-99/100'
+						},
+						body: data.slice(90)
+					}
+				]);
+			})
+		));
+
+		it('merges overlapping and adjacent ranges', function() {
+			return requestRange('bytes=0-,0-,50-60,0-').then(response => {
+				assert.strictEqual(response.statusCode, 206);
+				assert.strictEqual(
+					response.headers['content-range'], 'bytes 0-99/100');
+				assert.deepStrictEqual(response.body, data);
+			});
+		});
+
+		it('sends merged ranges in ascending order', function() {
+			return requestRange('bytes=40-49,0-9,5-14,15-19').then(response => {
+				assert.strictEqual(response.statusCode, 206);
+				assert.deepStrictEqual(
+					parseByteRanges(response).map(
+						part => part.headers['content-range']),
+					[ 'bytes 0-19/100', 'bytes 40-49/100' ]);
+			});
+		});
+
+		it('ignores too many ranges', function() {
+			const rangeSpecs = new Array();
+			for (let i = 0; i < 50; i++)
+				rangeSpecs.push((i * 2) + '-' + (i * 2));
+			return requestRange('bytes=' + rangeSpecs.join(',')).then(
+				response => {
+					assert.strictEqual(response.statusCode, 200);
+					assert.deepStrictEqual(response.body, data);
+				});
+		});
+	});
+
+	describe('response compression', function() {
+
+		const records = new Array();
+		for (let i = 0; i < 100; i++)
+			records.push({ id: i, name: 'Record #' + i });
+
+		beforeEach(function() {
+			app = createApplication()
+				.endpoint('/records', {
+					public: true,
+					methods: { GET: () => records }
+				});
+		});
+
+		it('uses brotli only if supported by Node.js', function() {
+			return request(app, {
+				path: '/records',
+				headers: { 'Accept-Encoding': 'br, gzip' }
+			}).then(response => {
+				assert.strictEqual(response.statusCode, 200);
+				const brotli = (typeof zlib.createBrotliCompress === 'function');
+				assert.strictEqual(
+					response.headers['content-encoding'], (brotli ? 'br' : 'gzip'));
+				assert.deepStrictEqual(
+					JSON.parse(
+						brotli ? zlib.brotliDecompressSync(response.body) :
+							zlib.gunzipSync(response.body)),
+					records);
+			});
+		});
+	});
+});
@@ -0,0 +1,139 @@
+"use strict";
+
+const assert = require('assert');
+const url = require('url');
+
+const Endpoint = require('../lib/endpoint.js');
+const EndpointMapper = require('../lib/endpoint-mapper.js');
+
+// create endpoint with a trivial handler
+function endpoint(uriPattern) {
+
+	return new Endpoint(uriPattern, { methods: { GET: () => ({}) } });
+}
+
+// create mapper for the specified endpoint URI patterns
+function mapper(uriPatterns) {
+
+	return new EndpointMapper(uriPatterns.map(endpoint), () => undefined);
+}
+
+// lookup request URI and return the matched endpoint URI template
+function lookup(endpointMapper, requestUri) {
+
+	const match = endpointMapper.lookup(url.parse(requestUri, true), {});
+
+	return (match ? match.endpoint.uriTemplate : null);
+}
+
+describe('EndpointMapper', function() {
+
+	describe('lookup', function() {
+
+		it('prefers literal segments to segments with parameters', function() {
+			const m = mapper([ '/items/{id}', '/items/new' ]);
+			assert.strictEqual(lookup(m, '/items/new'), '/items/new');
+			assert.strictEqual(lookup(m, '/items/5'), '/items/{id}');
+		});
+
+		it('tries segments with parameters in the order added', function() {
+			const m = mapper([ '/items/{id:\\d+}', '/items/{name}' ]);
+			assert.strictEqual(lookup(m, '/items/5'), '/items/{id:\\d+}');
+			assert.strictEqual(lookup(m, '/items/x'), '/items/{name}');
+		});
+
+		it('backtracks if a preferred branch does not match', function() {
+			const m = mapper([ '/items/new/edit', '/items/{id}/view' ]);
+			assert.strictEqual(lookup(m, '/items/new/view'), '/items/{id}/view');
+		});
+
+		it('tries regular expressions after the templates', function() {
+			const m = mapper([ '/files/(.+)', '/files/{name}' ]);
+			assert.strictEqual(lookup(m, '/files/a'), '/files/{name}');
+			assert.strictEqual(lookup(m, '/files/a/b'), '/files/(.+)');
+		});
+
+		it('extracts URI parameters', function() {
+			const m = mapper([ '/items/{id}[/parts/{partId}]' ]);
+			const uriParams = requestUri => Array.from(
+				m.lookup(url.parse(requestUri, true), {}).uriParams);
+			assert.deepStrictEqual(uriParams('/items/5'), [ '5', undefined ]);
+			assert.deepStrictEqual(uriParams('/items/5/parts/7'), [ '5', '7' ]);
+		});
+	});
+
+	describe('overlapping endpoints', function() {
+
+		[
+			[ '/items/{id}', '/items/{key}' ],
+			[ '/items/{id}', '/items/{id:\\d+}' ],
+			[ '/items/{id}/parts', '/items/{id:\\d+}/parts' ],
+			[ '/items/{id}', '/items/{id}.json' ],
+			[ '/items[/{id}]', '/items' ],
+			[ '/items/{id}', '/items/([^/]+)' ],
+			[ '/items/{id}', /\/items\/(\d+)/ ],
+			[ '/items/([^/]+)', '/items/{id}' ],
+			[ '/items/([^/]+)', '/items/(\\d+)' ],
+			[ '/items/(\\d+)', '/items/(\\d+)' ]
+		].forEach(uriPatterns => {
+			it('reports "' + uriPatterns[1] + '" after "' + uriPatterns[0] + '"',
+				function() {
+					assert.throws(
+						() => mapper(uriPatterns), /would never be matched/);
+				});
+		});
+
+		[
+			[ '/items/{id:\\d+}', '/items/{id}' ],
+			[ '/items/{id}', '/items/new' ],
+			[ '/items/{id}', '/items/{id:\\d+}/parts' ],
+			[ '/items/{a}/{b}', '/items/x/{c}' ],
+			[ '/items/{id}', '/items/{id:.*}' ],
+			[ '/items/(\\d+)', '/items/([^/]+)' ],
+			[ '/items/{id}', '/items/(.+)' ]
+		].forEach(uriPatterns => {
+			it('allows "' + uriPatterns[1] + '" after "' + uriPatterns[0] + '"',
+				function() {
+					assert.doesNotThrow(() => mapper(uriPatterns));
+				});
+		});
+	});
+
+	describe('lookup cost', function() {
+
+		this.timeout(30000);
+
+		// best time in nanoseconds of a series of lookups of the endpoint added
+		// last among the specified number of endpoints
+		function measure(numEndpoints) {
+
+			const uriPatterns = new Array();
+			for (let i = 0; i < numEndpoints; i++)
+				uriPatterns.push('/r' + i + '/{id}/sub/{subId:\\d+}');
+			const m = mapper(uriPatterns);
+			const requestUrl = url.parse(
+				'/r' + (numEndpoints - 1) + '/5/sub/7', true);
+			assert.ok(m.lookup(requestUrl, {}));
+
+			let best = Infinity;
+			for (let round = 0; round < 5; round++) {
+				const start = process.hrtime();
+				for (let i = 0; i < 20000; i++)
+					m.lookup(requestUrl, {});
+				const time = process.hrtime(start);
+				best = Math.min(best, time[0] * 1e9 + time[1]);
+			}
+
+			return best;
+		}
+
+		it('stays flat as the number of endpoints grows', function() {
+			const small = measure(10);
+			const large = measure(2000);
+			assert.ok(
+				large < small * 3,
+				'lookup among 2000 endpoints took ' + large + 'ns, among 10 '
+					+ small + 'ns');
+		});
+	});
+});
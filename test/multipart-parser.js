@@ -0,0 +1,284 @@
+"use strict";
+
+const assert = require('assert');
+
+const MultipartParser = require('../lib/multipart-parser.js');
+
+const BOUNDARY = 'b0und4ry';
+
+// build multipart payload from the specified lines
+function payload(lines) {
+
+	return new Buffer(lines.join('\r\n'), 'utf8');
+}
+
+// parse payload fed to the parser in chunks of the specified size
+function parse(data, chunkSize, maxFirstPartSize, maxPartSize) {
+
+	const parser = new MultipartParser(
+		BOUNDARY, (maxFirstPartSize || 1000), (maxPartSize || 1000));
+	for (let i = 0; i < data.length; i += (chunkSize || data.length))
+		parser.write(data.slice(i, i + (chunkSize || data.length)));
+
+	return parser.end();
+}
+
+// assert that the function throws syntax error with the specified message
+function assertSyntaxError(fn, message) {
+
+	assert.throws(
+		fn, err => ((err instanceof SyntaxError) && (err.message === message)));
+}
+
+// get parts as strings
+function partsOf(parts) {
+
+	return parts.map(part => ({
+		headers: part.headers,
+		data: part.data.toString('utf8')
+	}));
+}
+
+// a valid payload with two parts
+const twoParts = payload([
+	'--' + BOUNDARY,
+	'Content-Type: application/json',
+	'',
+	'{"a":1}',
+	'--' + BOUNDARY,
+	'Content-Type: text/plain',
+	'Content-Disposition: attachment; filename="a.txt"',
+	'',
+	'line 1',
+	'line 2',
+	'--' + BOUNDARY + '--'
+]);
+
+// the parts in the valid payload
+const twoPartsExpected = [
+	{
+		headers: { 'content-type': 'application/json' },
+		data: '{"a":1}'
+	},
+	{
+		headers: {
+			'content-type': 'text/plain',
+			'content-disposition': 'attachment; filename="a.txt"'
+		},
+		data: 'line 1\r\nline 2'
+	}
+];
+
+describe('MultipartParser', function() {
+
+	describe('getBoundary', function() {
+
+		[
+			[ 'multipart/mixed; boundary=abc', 'abc' ],
+			[ 'multipart/mixed;boundary=abc; charset=utf-8', 'abc' ],
+			[ 'multipart/form-data; BOUNDARY="a b:c"', 'a b:c' ],
+			[ 'multipart/mixed; boundary=' + 'x'.repeat(70), 'x'.repeat(70) ],
+			[ 'multipart/mixed', null ],
+			[ 'multipart/mixed; boundary=', null ],
+			[ 'multipart/mixed; boundary=""', null ],
+			[ 'multipart/mixed; boundary=' + 'x'.repeat(71), null ],
+			[ 'multipart/mixed; boundary="' + 'x'.repeat(71) + '"', null ]
+		].forEach(test => {
+			it('gets ' + JSON.stringify(test[1]) + ' from "'
+				+ test[0].replace(/x{70,}/, x => '<' + x.length + ' x>') + '"',
+			function() {
+				assert.strictEqual(
+					MultipartParser.getBoundary(test[0]), test[1]);
+			});
+		});
+	});
+
+	describe('boundary handling', function() {
+
+		it('parses payload in single chunk', function() {
+			assert.deepStrictEqual(partsOf(parse(twoParts)), twoPartsExpected);
+		});
+
+		[ 1, 2, 3, 7, 11 ].forEach(chunkSize => {
+			it('parses payload in chunks of ' + chunkSize + ' bytes',
+				function() {
+					assert.deepStrictEqual(
+						partsOf(parse(twoParts, chunkSize)), twoPartsExpected);
+				});
+		});
+
+		it('ignores preamble and epilogue', function() {
+			const data = payload([
+				'preamble --' + BOUNDARY,
+				'--' + BOUNDARY,
+				'',
+				'body',
+				'--' + BOUNDARY + '--',
+				'epilogue',
+				'--' + BOUNDARY,
+				'',
+				'ignored'
+			]);
+			[ undefined, 1 ].forEach(chunkSize => {
+				assert.deepStrictEqual(partsOf(parse(data, chunkSize)), [
+					{ headers: {}, data: 'body' }
+				]);
+			});
+		});
+
+		it('keeps boundary not at the beginning of a line in the body',
+			function() {
+				const data = payload([
+					'--' + BOUNDARY,
+					'',
+					'a --' + BOUNDARY + ' b',
+					'--' + BOUNDARY + '--'
+				]);
+				[ undefined, 3 ].forEach(chunkSize => {
+					assert.deepStrictEqual(partsOf(parse(data, chunkSize)), [
+						{ headers: {}, data: 'a --' + BOUNDARY + ' b' }
+					]);
+				});
+			});
+
+		it('keeps body line breaks and binary data', function() {
+			const binary = new Buffer([ 0, 13, 10, 45, 45, 255, 13 ]);
+			const data = Buffer.concat([
+				payload([ '--' + BOUNDARY, '', '' ]),
+				binary,
+				payload([ '', '--' + BOUNDARY + '--' ])
+			]);
+			[ undefined, 1 ].forEach(chunkSize => {
+				assert.deepStrictEqual(parse(data, chunkSize)[0].data, binary);
+			});
+		});
+
+		it('parses empty part body', function() {
+			const data = payload([
+				'--' + BOUNDARY,
+				'Content-Type: text/plain',
+				'',
+				'',
+				'--' + BOUNDARY + '--'
+			]);
+			assert.deepStrictEqual(partsOf(parse(data)), [
+				{ headers: { 'content-type': 'text/plain' }, data: '' }
+			]);
+		});
+
+		it('allows transport padding after delimiter', function() {
+			const data = payload([
+				'--' + BOUNDARY + ' \t',
+				'',
+				'body',
+				'--' + BOUNDARY + '--'
+			]);
+			assert.deepStrictEqual(partsOf(parse(data)), [
+				{ headers: {}, data: 'body' }
+			]);
+		});
+
+		[ ' x', 'x' ].forEach(text => {
+			it('rejects "' + text + '" after delimiter', function() {
+				const data = payload([
+					'--' + BOUNDARY,
+					'',
+					'body',
+					'--' + BOUNDARY + text,
+					'',
+					'body',
+					'--' + BOUNDARY + '--'
+				]);
+				assertSyntaxError(
+					() => { parse(data); },
+					'Invalid multipart delimiter line.');
+			});
+		});
+	});
+
+	describe('missing closing delimiter', function() {
+
+		[
+			[ 'empty payload', [ '' ] ],
+			[ 'no delimiters', [ 'just text' ] ],
+			[ 'incomplete headers', [ '--' + BOUNDARY, 'Content-Type: a' ] ],
+			[ 'incomplete body', [ '--' + BOUNDARY, '', 'body' ] ],
+			[ 'delimiter instead', [ '--' + BOUNDARY, '', 'body',
+				'--' + BOUNDARY, '' ] ],
+			[ 'truncated delimiter', [ '--' + BOUNDARY, '', 'body',
+				'--' + BOUNDARY + '-' ] ]
+		].forEach(test => {
+			it('rejects payload with ' + test[0], function() {
+				[ undefined, 1 ].forEach(chunkSize => {
+					assertSyntaxError(
+						() => { parse(payload(test[1]), chunkSize); },
+						'Incomplete multipart payload.');
+				});
+			});
+		});
+	});
+
+	describe('part headers', function() {
+
+		// parse headers of single part
+		function parseHeaders(headerLines) {
+
+			const data = payload([ '--' + BOUNDARY ].concat(
+				headerLines, [ '', 'body', '--' + BOUNDARY + '--' ]));
+
+			return parse(data)[0].headers;
+		}
+
+		it('lower-cases names and trims values', function() {
+			assert.deepStrictEqual(
+				parseHeaders([ 'Content-TYPE :  text/plain ', 'X-A:b:c' ]),
+				{ 'content-type': 'text/plain', 'x-a': 'b:c' });
+		});
+
+		it('parses UTF-8 values', function() {
+			assert.deepStrictEqual(
+				parseHeaders([ 'Content-Disposition: filename="été"' ]),
+				{ 'content-disposition': 'filename="été"' });
+		});
+
+		it('parses part without headers', function() {
+			assert.deepStrictEqual(parseHeaders([]), {});
+		});
+
+		[ 'no colon', ': no name' ].forEach(line => {
+			it('rejects "' + line + '"', function() {
+				assertSyntaxError(
+					() => { parseHeaders([ line ]); },
+					'Invalid multipart part header.');
+			});
+		});
+
+		it('rejects too large header section', function() {
+			const data = payload([
+				'--' + BOUNDARY,
+				'X-Large: ' + 'x'.repeat(9000)
+			]);
+			assertSyntaxError(
+				() => { parse(data, 1000); },
+				'Multipart part headers too large.');
+		});
+	});
+
+	describe('size limits', function() {
+
+		// assert that parsing fails with "payload_too_large" error
+		function assertTooLarge(fn) {
+
+			assert.throws(fn, err => (err.code === 'payload_too_large'));
+		}
+
+		it('limits the first part and the other parts separately', function() {
+			assert.doesNotThrow(() => { parse(twoParts, undefined, 7, 14); });
+			assert.doesNotThrow(() => { parse(twoParts, 1, 7, 14); });
+			assertTooLarge(() => { parse(twoParts, undefined, 6, 14); });
+			assertTooLarge(() => { parse(twoParts, 1, 6, 14); });
+			assertTooLarge(() => { parse(twoParts, undefined, 7, 13); });
+			assertTooLarge(() => { parse(twoParts, 1, 7, 13); });
+		});
+	});
+});
@@ -0,0 +1,388 @@
+"use strict";
+
+const assert = require('assert');
+
+const Resource = require('../lib/resource.js');
+const RecordValidator = require('../lib/record-validator.js');
+const ValidationErrors = require('../lib/validation-errors.js');
+
+// runtime passed to the custom constraints
+const runtime = { name: 'runtime' };
+
+// create validator for the resource with the specified properties
+function validator(properties) {
+
+	return new RecordValidator(new Resource({
+		name: 'R',
+		properties: Object.assign({ id: { type: 'number' } }, properties)
+	}));
+}
+
+// create expected validation error
+function error(property, constraint, params) {
+
+	const err = {
+		property: property,
+		constraint: constraint
+	};
+	if (params)
+		err.params = params;
+
+	return err;
+}
+
+// validate new record and get the result and the errors
+function validateNew(v, record) {
+
+	const errors = new ValidationErrors(null);
+
+	return {
+		result: v.validateNew(record, errors, runtime),
+		errors: errors.errors
+	};
+}
+
+// validate patch and get the errors
+function validatePatch(v, patch) {
+
+	const errors = new ValidationErrors(null);
+	v.validatePatch(patch, errors, runtime);
+
+	return errors.errors;
+}
+
+describe('RecordValidator', function() {
+
+	describe('basic checks', function() {
+
+		const v = validator({
+			name: { type: 'string', required: true },
+			active: { type: 'boolean' },
+			createdOn: { type: 'datetime' },
+			version: { type: 'number', readOnly: true },
+			owner: { type: 'ref', resource: 'R' }
+		});
+
+		it('accepts valid record and converts datetime', function() {
+			const res = validateNew(v, {
+				name: 'x',
+				active: false,
+				createdOn: '2017-01-02T03:04:05Z',
+				owner: 5
+			});
+			assert.deepStrictEqual(res.errors, []);
+			assert.ok(res.result.createdOn instanceof Date);
+			assert.strictEqual(
+				res.result.createdOn.getTime(), Date.UTC(2017, 0, 2, 3, 4, 5));
+		});
+
+		it('reports missing, read-only and unknown properties', function() {
+			const res = validateNew(
+				v, { name: null, version: 1, color: 'red' });
+			assert.deepStrictEqual(res.errors, [
+				error('color', 'unknown'),
+				error('name', 'required'),
+				error('version', 'readOnly')
+			]);
+		});
+
+		it('reports wrong types', function() {
+			assert.deepStrictEqual(
+				validateNew(v, {
+					name: 1,
+					active: 'yes',
+					createdOn: 'yesterday',
+					owner: true
+				}).errors, [
+					error('name', 'type', [ 'string' ]),
+					error('active', 'type', [ 'boolean' ]),
+					error('createdOn', 'type', [ 'datetime' ]),
+					error('owner', 'type', [ 'ref' ])
+				]);
+		});
+
+		it('reports record that is not an object', function() {
+			const res = validateNew(v, [ 1 ]);
+			assert.strictEqual(res.result, null);
+			assert.deepStrictEqual(res.errors, [
+				error('', 'type', [ 'object' ])
+			]);
+		});
+
+		it('allows missing required property only in patch', function() {
+			assert.deepStrictEqual(validatePatch(v, { active: true }), []);
+			assert.deepStrictEqual(validatePatch(v, { name: null }), [
+				error('name', 'required')
+			]);
+		});
+	});
+
+	describe('declarative constraints', function() {
+
+		const v = validator({
+			code: { type: 'string', minLength: 2, maxLength: 4 },
+			sku: { type: 'string', pattern: '^[A-Z]+-\\d+$' },
+			tag: { type: 'string', pattern: /^#/ },
+			qty: { type: 'number', min: 1, max: 10 },
+			color: { type: 'string', values: [ 'red', 'green' ] },
+			size: { type: 'number', values: [ 1, 2, 3 ] },
+			parent: { type: 'ref', resource: 'R', values: [ 1, 2 ] },
+			labels: {
+				type: 'array',
+				minItems: 1,
+				maxItems: 2,
+				element: { type: 'string', maxLength: 3 }
+			}
+		});
+
+		// get errors of the single property
+		function errorsOf(propName, value) {
+
+			const record = {};
+			record[propName] = value;
+
+			return validateNew(v, record).errors;
+		}
+
+		[
+			[ 'code', 'ab' ], [ 'code', 'abcd' ], [ 'sku', 'AB-12' ],
+			[ 'tag', '#x' ], [ 'qty', 1 ], [ 'qty', 10 ], [ 'color', 'red' ],
+			[ 'size', 3 ], [ 'parent', 2 ], [ 'labels', [ 'a' ] ],
+			[ 'labels', [ 'a', 'bcd' ] ]
+		].forEach(test => {
+			it('accepts ' + JSON.stringify(test[1]) + ' for "' + test[0] + '"',
+				function() {
+					assert.deepStrictEqual(errorsOf(test[0], test[1]), []);
+				});
+		});
+
+		[
+			[ 'code', 'a', 'minLength', [ 2 ] ],
+			[ 'code', 'abcde', 'maxLength', [ 4 ] ],
+			[ 'sku', 'ab-12', 'pattern', [ '^[A-Z]+-\\d+$' ] ],
+			[ 'tag', 'x#', 'pattern', [ '^#' ] ],
+			[ 'qty', 0, 'min', [ 1 ] ],
+			[ 'qty', 10.5, 'max', [ 10 ] ],
+			[ 'color', 'blue', 'values', [ 'red', 'green' ] ],
+			[ 'size', 4, 'values', [ 1, 2, 3 ] ],
+			[ 'size', '1', 'type', [ 'number' ] ],
+			[ 'parent', 3, 'values', [ 1, 2 ] ],
+			[ 'labels', [], 'minItems', [ 1 ] ],
+			[ 'labels', [ 'a', 'b', 'c' ], 'maxItems', [ 2 ] ]
+		].forEach(test => {
+			it('reports ' + JSON.stringify(test[1]) + ' for "' + test[0] + '"',
+				function() {
+					assert.deepStrictEqual(errorsOf(test[0], test[1]), [
+						error(test[0], test[2], test[3])
+					]);
+				});
+		});
+
+		it('does not check constraints of value of wrong type', function() {
+			assert.deepStrictEqual(errorsOf('code', 12345), [
+				error('code', 'type', [ 'string' ])
+			]);
+		});
+
+		it('checks constraints in patch', function() {
+			assert.deepStrictEqual(validatePatch(v, { qty: 0 }), [
+				error('qty', 'min', [ 1 ])
+			]);
+		});
+	});
+
+	describe('nested properties', function() {
+
+		const v = validator({
+			address: {
+				type: 'object',
+				properties: {
+					city: { type: 'string', required: true },
+					zip: { type: 'string', pattern: '^\\d{5}$' }
+				}
+			},
+			items: {
+				type: 'array',
+				element: {
+					type: 'object',
+					properties: {
+						product: { type: 'string', required: true },
+						price: { type: 'number', min: 0 },
+						shippedOn: { type: 'datetime' }
+					}
+				}
+			}
+		});
+
+		it('reports violations with property paths', function() {
+			assert.deepStrictEqual(
+				validateNew(v, {
+					address: { zip: '123', country: 'US' },
+					items: [
+						{ product: 'a', price: 1 },
+						null,
+						{ product: 'c', price: -1 },
+						{ price: 'free' },
+						'd'
+					]
+				}).errors, [
+					error('address.country', 'unknown'),
+					error('address.city', 'required'),
+					error('address.zip', 'pattern', [ '^\\d{5}$' ]),
+					error('items[1]', 'required'),
+					error('items[2].price', 'min', [ 0 ]),
+					error('items[3].product', 'required'),
+					error('items[3].price', 'type', [ 'number' ]),
+					error('items[4]', 'type', [ 'object' ])
+				]);
+		});
+
+		it('converts nested datetime values', function() {
+			const res = validateNew(v, {
+				items: [ { product: 'a', shippedOn: '2017-01-02T00:00:00Z' } ]
+			});
+			assert.deepStrictEqual(res.errors, []);
+			assert.ok(res.result.items[0].shippedOn instanceof Date);
+		});
+
+		it('requires nested properties in patch', function() {
+			assert.deepStrictEqual(validatePatch(v, { address: {} }), [
+				error('address.city', 'required')
+			]);
+		});
+	});
+
+	describe('custom constraints', function() {
+
+		it('calls constraint after the declarative ones', function() {
+			const calls = new Array();
+			const v = validator({
+				code: {
+					type: 'string',
+					maxLength: 2,
+					validate: (val, path, errors, rt) => {
+						calls.push([ val, path, rt ]);
+						errors.add(path, 'custom');
+					}
+				}
+			});
+			assert.deepStrictEqual(validateNew(v, { code: 'abc' }).errors, [
+				error('code', 'maxLength', [ 2 ]),
+				error('code', 'custom')
+			]);
+			assert.deepStrictEqual(calls, [ [ 'abc', 'code', runtime ] ]);
+		});
+
+		it('calls multiple constraints in order', function() {
+			const v = validator({
+				code: {
+					type: 'string',
+					validate: [
+						(val, path, errors) => { errors.add(path, 'first'); },
+						(val, path, errors) => { errors.add(path, 'second'); }
+					]
+				}
+			});
+			assert.deepStrictEqual(
+				validateNew(v, { code: 'a' }).errors.map(
+					error => error.constraint),
+				[ 'first', 'second' ]);
+		});
+
+		it('does not call constraint for value of wrong type or absent',
+			function() {
+				let called = false;
+				const v = validator({
+					code: { type: 'string', validate: () => { called = true; } }
+				});
+				validateNew(v, { code: 1 });
+				validateNew(v, {});
+				assert.strictEqual(called, false);
+			});
+
+		it('calls constraint of nested object after its properties',
+			function() {
+			const v = validator({
+				items: {
+					type: 'array',
+					element: {
+						type: 'object',
+						properties: {
+							min: { type: 'number' },
+							max: { type: 'number' }
+						},
+						validate: (val, path, errors) => {
+							if (val.min > val.max)
+								errors.add(path, 'range', [ val.min, val.max ]);
+						}
+					}
+				}
+			});
+			assert.deepStrictEqual(
+				validateNew(v, {
+					items: [
+						{ min: 1, max: 2 },
+						{ min: 3, max: 1 },
+						{ min: 'x', max: 1, extra: true }
+					]
+				}).errors, [
+					error('items[1]', 'range', [ 3, 1 ]),
+					error('items[2].extra', 'unknown'),
+					error('items[2].min', 'type', [ 'number' ])
+				]);
+		});
+
+		it('waits for asynchronous constraints', function() {
+			const v = validator({
+				code: {
+					type: 'string',
+					validate: (val, path, errors) => new Promise(resolve => {
+						setTimeout(() => {
+							errors.add(path, 'taken');
+							resolve();
+						}, 10);
+					})
+				},
+				name: { type: 'string' }
+			});
+			const errors = new ValidationErrors(null);
+			const record = { code: 'a', name: 'x' };
+			const result = v.validateNew(record, errors, runtime);
+			assert.ok(result instanceof Promise);
+			assert.strictEqual(errors.hasErrors, false);
+			return result.then(validated => {
+				assert.strictEqual(validated, record);
+				assert.deepStrictEqual(errors.errors, [
+					error('code', 'taken')
+				]);
+			});
+		});
+
+		it('returns the record synchronously without asynchronous constraints',
+			function() {
+				const v = validator({
+					code: { type: 'string', validate: () => ({ then: null }) }
+				});
+				const record = { code: 'a' };
+				assert.strictEqual(validateNew(v, record).result, record);
+			});
+	});
+
+	describe('constraint definitions', function() {
+
+		[
+			[ { type: 'number', minLength: 1 }, /minLength is not applicable/ ],
+			[ { type: 'string', pattern: '(' }, /invalid pattern/ ],
+			[ { type: 'string', maxLength: -1 }, /maxLength must be/ ],
+			[ { type: 'number', min: 'a' }, /min must be a number/ ],
+			[ { type: 'string', values: [] }, /values must be a non-empty/ ],
+			[ { type: 'array', element: { type: 'string' }, minItems: 1.5 },
+				/minItems must be/ ],
+			[ { type: 'string', validate: [ 'x' ] }, /validate must be/ ]
+		].forEach(test => {
+			it('rejects ' + test[1].source, function() {
+				assert.throws(() => validator({ p: test[0] }), test[1]);
+			});
+		});
+	});
+});
@@ -0,0 +1,312 @@
+"use strict";
+
+const assert = require('assert');
+
+const Resource = require('../lib/resource.js');
+const RecordsQuery = require('../lib/records-query.js');
+
+// create resources with resolved references
+function createResources(defs) {
+
+	const resources = new Map();
+	defs.forEach(def => {
+		resources.set(def.name, new Resource(def));
+	});
+	resources.forEach(resource => {
+		resource._resolveReferences(resources);
+	});
+
+	return resources;
+}
+
+const resources = createResources([
+	{
+		name: 'Company',
+		properties: {
+			id: { type: 'number' },
+			name: { type: 'string' }
+		}
+	},
+	{
+		name: 'Person',
+		idProperty: 'code',
+		properties: {
+			code: { type: 'string' },
+			name: { type: 'string' },
+			company: { type: 'ref', resource: 'Company' }
+		}
+	},
+	{
+		name: 'Order',
+		properties: {
+			id: { type: 'number' },
+			title: { type: 'string' },
+			total: { type: 'number' },
+			paid: { type: 'boolean' },
+			placedOn: { type: 'datetime' },
+			owner: { type: 'ref', resource: 'Person' },
+			address: {
+				type: 'object',
+				properties: {
+					city: { type: 'string' },
+					zip: { type: 'string' }
+				}
+			},
+			items: {
+				type: 'array',
+				element: {
+					type: 'object',
+					properties: {
+						product: { type: 'string' },
+						price: { type: 'number' }
+					}
+				}
+			}
+		}
+	}
+]);
+
+// parse query for the orders collection
+function parse(queryParams, singleRecord) {
+
+	return RecordsQuery.parse(
+		resources.get('Order'), queryParams, singleRecord);
+}
+
+// assert that parsing the query fails with the specified message
+function assertInvalid(queryParams, message, singleRecord) {
+
+	assert.throws(
+		() => { parse(queryParams, singleRecord); },
+		err => ((err instanceof SyntaxError) && message.test(err.message)));
+}
+
+describe('RecordsQuery', function() {
+
+	it('is empty without parameters', function() {
+		const query = parse({});
+		assert.deepStrictEqual(query.filter, []);
+		assert.deepStrictEqual(query.sort, []);
+		assert.strictEqual(query.range, null);
+		assert.strictEqual(query.props, null);
+		assert.deepStrictEqual(query.expand, []);
+	});
+
+	describe('filter', function() {
+
+		it('tests equality by default', function() {
+			assert.deepStrictEqual(parse({ title: 'x' }).filter, [
+				{ path: 'title', test: 'eq', value: 'x' }
+			]);
+		});
+
+		[ 'eq', 'ne', 'lt', 'gt' ].forEach(test => {
+			it('parses "' + test + '" test', function() {
+				const queryParams = {};
+				queryParams['total:' + test] = '10.5';
+				assert.deepStrictEqual(parse(queryParams).filter, [
+					{ path: 'total', test: test, value: 10.5 }
+				]);
+			});
+		});
+
+		it('parses "in" test', function() {
+			assert.deepStrictEqual(parse({ 'total:in': '1,2,3' }).filter, [
+				{ path: 'total', test: 'in', value: [ 1, 2, 3 ] }
+			]);
+		});
+
+		it('parses "pattern" test', function() {
+			const condition = parse({ 'title:pattern': 'a*b.c' }).filter[0];
+			assert.strictEqual(condition.test, 'pattern');
+			assert.ok(condition.value instanceof RegExp);
+			assert.ok(condition.value.test('ab.c'));
+			assert.ok(condition.value.test('axyzb.c'));
+			assert.ok(!condition.value.test('axyzbxc'));
+			assert.ok(!condition.value.test('xab.c'));
+		});
+
+		[ 'present', 'absent' ].forEach(test => {
+			it('parses "' + test + '" test', function() {
+				const queryParams = {};
+				queryParams['title:' + test] = '';
+				queryParams['address:' + test] = 'ignored';
+				queryParams['items:' + test] = '';
+				assert.deepStrictEqual(parse(queryParams).filter, [
+					{ path: 'title', test: test, value: undefined },
+					{ path: 'address', test: test, value: undefined },
+					{ path: 'items', test: test, value: undefined }
+				]);
+			});
+		});
+
+		it('combines conditions including repeated parameters', function() {
+			assert.deepStrictEqual(
+				parse({ 'total:gt': [ '1', '5' ], 'address.city': 'X' }).filter,
+				[
+					{ path: 'total', test: 'gt', value: 1 },
+					{ path: 'total', test: 'gt', value: 5 },
+					{ path: 'address.city', test: 'eq', value: 'X' }
+				]);
+		});
+
+		it('converts values to the property types', function() {
+			const filter = parse({
+				paid: 'true',
+				'placedOn:lt': '2017-01-02T03:04:05Z',
+				owner: 'p1'
+			}).filter;
+			assert.strictEqual(filter[0].value, true);
+			assert.ok(filter[1].value instanceof Date);
+			assert.strictEqual(
+				filter[1].value.getTime(), Date.UTC(2017, 0, 2, 3, 4, 5));
+			assert.strictEqual(filter[2].value, 'p1');
+		});
+
+		it('rejects unknown property', function() {
+			assertInvalid({ color: 'red' }, /^Unknown property "color"/);
+			assertInvalid(
+				{ 'address.country': 'X' },
+				/^Unknown property "address\.country"/);
+			assertInvalid(
+				{ 'items[].price': '1' },
+				/^Unknown property "items\[\]\.price"/);
+		});
+
+		it('rejects unknown test', function() {
+			assertInvalid({ 'total:le': '1' }, /^Unknown test "le"/);
+		});
+
+		it('rejects value tests of nested object and array properties',
+			function() {
+				assertInvalid({ address: 'X' }, /^Only presence tests/);
+				assertInvalid({ 'items:in': 'X' }, /^Only presence tests/);
+			});
+
+		it('rejects "pattern" test of non-string property', function() {
+			assertInvalid({ 'total:pattern': '1*' }, /^Pattern test/);
+		});
+
+		[
+			[ 'total', '' ], [ 'total', 'abc' ], [ 'total:in', '1,x' ],
+			[ 'paid', 'yes' ], [ 'placedOn', 'yesterday' ]
+		].forEach(param => {
+			it('rejects value "' + param[1] + '" for "' + param[0] + '"',
+				function() {
+					const queryParams = {};
+					queryParams[param[0]] = param[1];
+					assertInvalid(queryParams, /^Invalid value/);
+				});
+		});
+	});
+
+	describe('sort', function() {
+
+		it('parses multiple properties and directions', function() {
+			assert.deepStrictEqual(
+				parse({ $sort: 'total,-placedOn,address.city' }).sort, [
+					{ path: 'total', descending: false },
+					{ path: 'placedOn', descending: true },
+					{ path: 'address.city', descending: false }
+				]);
+		});
+
+		it('rejects unknown property', function() {
+			assertInvalid(
+				{ $sort: 'total,-color' }, /^Unknown property "color"/);
+		});
+
+		it('rejects nested object and array properties', function() {
+			assertInvalid({ $sort: 'address' }, /^Cannot sort/);
+			assertInvalid({ $sort: '-items' }, /^Cannot sort/);
+		});
+
+		it('rejects repeated parameter', function() {
+			assertInvalid({ $sort: [ 'total', 'title' ] }, /is repeated/);
+		});
+	});
+
+	describe('range', function() {
+
+		it('parses offset and limit', function() {
+			assert.deepStrictEqual(
+				parse({ $offset: '20', $limit: '10' }).range,
+				{ offset: 20, limit: 10 });
+		});
+
+		it('parses offset without limit', function() {
+			assert.deepStrictEqual(
+				parse({ $offset: '20' }).range, { offset: 20, limit: null });
+		});
+
+		it('parses limit without offset', function() {
+			assert.deepStrictEqual(
+				parse({ $limit: '0' }).range, { offset: 0, limit: 0 });
+		});
+
+		it('has no range for zero offset without limit', function() {
+			assert.strictEqual(parse({ $offset: '0' }).range, null);
+		});
+
+		[ '-1', '1.5', 'x', '' ].forEach(value => {
+			it('rejects invalid value "' + value + '"', function() {
+				assertInvalid({ $offset: value }, /non-negative integer/);
+				assertInvalid({ $limit: value }, /non-negative integer/);
+			});
+		});
+	});
+
+	describe('projection and expansion', function() {
+
+		it('parses properties', function() {
+			assert.deepStrictEqual(
+				parse({ $props: 'title,address.city,items.price' }).props,
+				[ 'title', 'address.city', 'items.price' ]);
+		});
+
+		it('includes intermediate references in expansion', function() {
+			assert.deepStrictEqual(
+				parse({ $expand: 'owner.company' }).expand,
+				[ 'owner', 'owner.company' ]);
+		});
+
+		it('allows properties of expanded records', function() {
+			assert.deepStrictEqual(
+				parse({ $props: 'owner.name', $expand: 'owner' }).props,
+				[ 'owner.name' ]);
+		});
+
+		it('rejects properties of not expanded records', function() {
+			assertInvalid({ $props: 'owner.name' }, /is not expanded/);
+		});
+
+		it('rejects expansion of non-reference property', function() {
+			assertInvalid({ $expand: 'title' }, /is not a reference/);
+		});
+
+		it('rejects unknown properties', function() {
+			assertInvalid({ $props: 'color' }, /^Unknown property "color"/);
+			assertInvalid(
+				{ $expand: 'owner.color' }, /^Unknown property "owner\.color"/);
+		});
+	});
+
+	describe('single record', function() {
+
+		it('allows projection and expansion', function() {
+			const query = parse(
+				{ $props: 'owner.name', $expand: 'owner' }, true);
+			assert.deepStrictEqual(query.props, [ 'owner.name' ]);
+			assert.deepStrictEqual(query.expand, [ 'owner' ]);
+		});
+
+		[ 'title', '$sort', '$offset', '$limit' ].forEach(paramName => {
+			it('rejects "' + paramName + '"', function() {
+				const queryParams = {};
+				queryParams[paramName] = '1';
+				assertInvalid(
+					queryParams, /cannot be used for a single record/, true);
+			});
+		});
+	});
+});